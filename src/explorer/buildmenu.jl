@@ -40,13 +40,30 @@ end
 
 # Create the list of variables and parameters
 function menu_item_list(m::Model, comp_name::Symbol, comp_def::AbstractComponentDef)
-    var_menu_items = map(var_name -> _menu_item(m, Symbol(comp_name), var_name), variable_names(comp_def));
-    par_menu_items = map(par_name -> _menu_item(m, Symbol(comp_name), par_name), parameter_names(comp_def));
+    var_menu_items = map(var_name -> _menu_item(m, Symbol(comp_name), var_name, variable_unit(comp_def, var_name)), variable_names(comp_def));
+    par_menu_items = map(par_name -> _menu_item(m, Symbol(comp_name), par_name, parameter_unit(comp_def, par_name)), parameter_names(comp_def));
     
     # Return sorted list so that the UI list of items will be in lexicographic order 
     return Dict("vars" => sort(var_menu_items, by = x -> lowercase(x["name"])),"pars" => sort(par_menu_items, by = x -> lowercase(x["name"])))
 end
 
+# Create the list of variables and parameters of every component, including
+# subcomponents, for searching across components
+function menu_item_index(model::Model)
+    var_menuitems = []
+    par_menuitems = []
+
+    function add_items(comp_def)
+        comp_values = menu_item_list(model, nameof(comp_def), comp_def)
+        append!(var_menuitems, comp_values["vars"])
+        append!(par_menuitems, comp_values["pars"])
+        foreach(add_items, compdefs(comp_def))
+    end
+    foreach(add_items, compdefs(model))
+
+    return Dict("vars" => sort(var_menuitems, by = x -> lowercase(x["name"])),"pars" => sort(par_menuitems, by = x -> lowercase(x["name"])))
+end
+
 function menu_item_list(sim_inst::SimulationInstance)
     all_menuitems = []
     for datum_key in sim_inst.sim_def.savelist
@@ -60,7 +77,7 @@ function menu_item_list(sim_inst::SimulationInstance)
     return sort(all_menuitems, by = x -> lowercase(x["name"]))
 end
 
-function _menu_item(m::Model, comp_name::Symbol, item_name::Symbol)
+function _menu_item(m::Model, comp_name::Symbol, item_name::Symbol, unit::AbstractString = "")
     dims = dim_names(m, comp_name, item_name)
     if length(dims) > 2
         # Drop references to singleton dimensions
@@ -85,7 +102,7 @@ function _menu_item(m::Model, comp_name::Symbol, item_name::Symbol)
         name = "$comp_name : $item_name"          # the name is needed for the list label
     end
 
-    menu_item = Dict("name" => name, "comp_name" => comp_name, "item_name" => item_name)
+    menu_item = Dict("name" => name, "comp_name" => comp_name, "item_name" => item_name, "dims" => [String(dim) for dim in dims], "unit" => unit)
     return menu_item
 end
 
@@ -104,6 +121,73 @@ function _menu_item(sim_inst::SimulationInstance, datum_key::Tuple{Symbol, Symbo
         name = "$comp_name : $item_name"          # the name is needed for the list label
     end
 
-    menu_item = Dict("name" => "$item_name", "comp_name" => comp_name, "item_name" => item_name)
+    menu_item = Dict("name" => "$item_name", "comp_name" => comp_name, "item_name" => item_name, "dims" => [String(dim) for dim in dims])
     return menu_item
 end
+
+## Menus for comparing several runs of a model
+
+# Union of the component trees of the runs, each node listing the runs that have it
+function tree_view_values(runs::Vector{Pair{String, Model}})
+    merged = Dict[]
+    for (run, m) in runs
+        _merge_tree_nodes!(merged, tree_view_values(m), run)
+    end
+    return merged
+end
+
+function _merge_tree_nodes!(merged, nodes, run::String)
+    for node in nodes
+        i = findfirst(n -> n["name"] == node["name"], merged)
+        if i === nothing
+            push!(merged, Dict("name" => node["name"], "children" => Dict[], "runs" => String[]))
+            i = length(merged)
+        end
+        push!(merged[i]["runs"], run)
+        _merge_tree_nodes!(merged[i]["children"], node["children"], run)
+    end
+    return sort!(merged, by = x -> lowercase(x["name"]))
+end
+
+# Union of the menu items `f(m)` lists for each run, or `nothing` for runs to
+# skip. Each item lists the runs that have it, and whether it differs between
+# the runs: by its values, or by being missing from some of them.
+function _union_menu_items(f, runs::Vector{Pair{String, Model}})
+    items = Dict("vars" => [], "pars" => [])
+    for (run, m) in runs
+        list = f(m)
+        list === nothing && continue
+        for kind in ("vars", "pars"), item in list[kind]
+            i = findfirst(x -> x["comp_name"] == item["comp_name"] && x["item_name"] == item["item_name"], items[kind])
+            if i === nothing
+                push!(items[kind], merge(item, Dict("runs" => String[])))
+                i = length(items[kind])
+            end
+            push!(items[kind][i]["runs"], run)
+        end
+    end
+    for kind in ("vars", "pars"), item in items[kind]
+        item["differs"] = length(item["runs"]) < length(runs) || _item_differs(runs, item["comp_name"], item["item_name"])
+    end
+
+    # Return sorted list so that the UI list of items will be in lexicographic order 
+    return Dict("vars" => sort(items["vars"], by = x -> lowercase(x["name"])),"pars" => sort(items["pars"], by = x -> lowercase(x["name"])))
+end
+
+function _item_differs(runs::Vector{Pair{String, Model}}, comp_name::Symbol, item_name::Symbol)
+    values = [_item_value(m, comp_name, item_name) for (run, m) in runs]
+    return !all(value -> isequal(value, values[1]), values)
+end
+
+function _item_value(m::Model, comp_name::Symbol, item_name::Symbol)
+    paths = _get_all_paths(m)
+    value = m[paths[comp_name], item_name]
+    return value === nothing ? m[comp_name, item_name] : value
+end
+
+function _has_item(m::Model, comp_name::Symbol, item_name::Symbol)
+    paths = _get_all_paths(m)
+    haskey(paths, comp_name) || return false
+    comp_def = find_comp(m, paths[comp_name])
+    return item_name in variable_names(comp_def) || item_name in parameter_names(comp_def)
+end
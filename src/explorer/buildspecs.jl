@@ -29,19 +29,26 @@ function _spec_for_item(m::Model, comp_name::Symbol, item_name::Symbol; interact
         comp_path = paths[comp_name];
         value = m[comp_path, item_name] === nothing ? m[comp_name, item_name] : m[comp_path, item_name]
         value_typeof = typeof(value)
-        if value_typeof <: Symbol || value_typeof <: String || value_typeof <: Number || value_typeof <: Array
+        datapart = []
+        if value_typeof <: Symbol || value_typeof <: String || value_typeof <: Number
             name = "$comp_name : $item_name = $value"
+            datapart = [Dict(string(item_name) => string(value))]
+        elseif value_typeof <: Array
+            name = "$comp_name : $item_name = $value"
+            datapart = [OrderedDict("index" => string(Tuple(i)), string(item_name) => string(value[i])) for i in CartesianIndices(value)]
         else
             @warn("$comp_name.$item_name has 0 indexed dimensions and type $(value_typeof), displaying this type directly in the menu is not yet implemented in explorer")
             name = "$comp_name : $item_name (value has type $(value_typeof), cannot display in menu)"
         end
-        spec = Mimi.createspec_singlevalue(name)
+        spec = Mimi.createspec_singlevalue(name, datapart)
 
-    # we do not support over two indexed dimensions right now
+    # we do not plot over two indexed dimensions right now, the explorer
+    # shows these as a table
     elseif length(dims) > 2
         @warn("$comp_name.$item_name has > 2 indexed dimensions, not yet implemented in explorer")
         name = "$comp_name : $item_name (value has > 2 indexed dims, cannot display a plot)"
-        spec = createspec_singlevalue(name)
+        df = getdataframe(m, comp_name, item_name)
+        spec = createspec_singlevalue(name, getdatapart_table(df, map(string, names(df))))
     
     ##
     ## Plot Cases
@@ -91,6 +98,23 @@ function _spec_for_item(m::Model, comp_name::Symbol, item_name::Symbol; interact
         
 end
 
+# The specs of an item in each run that has it, which the explorer overlays
+# and subtracts from each other
+function _spec_for_runs(runs::Vector{Pair{String, Model}}, comp_name::Symbol, item_name::Symbol)
+    run_specs = [Dict("run" => run, "spec" => _spec_for_item(m, comp_name, item_name; interactive = false))
+                    for (run, m) in runs if _has_item(m, comp_name, item_name)]
+    isempty(run_specs) && error("No run has a variable or parameter $comp_name.$item_name")
+
+    spec = Dict(
+        "name" => "$comp_name : $item_name", 
+        "type" => "comparison",
+        "item_name" => string(item_name),
+        "VLspec" => Dict(),
+        "runs" => run_specs
+    )
+    return spec
+end
+
 function _spec_for_sim_item(sim_inst::SimulationInstance, comp_name::Symbol, item_name::Symbol, results::DataFrame; model_index::Int = 1, interactive::Bool=true)
 
     # Control flow logic selects the correct plot type based on dimensions
@@ -111,7 +135,7 @@ function _spec_for_sim_item(sim_inst::SimulationInstance, comp_name::Symbol, ite
     elseif length(dims) > 2
         @warn("$name has > 2 indexed dimensions, not yet implemented in explorer")
         name = "$comp_name : $item_name (value has > 2 indexed dims, cannot display a plot)"
-        spec = createspec_singlevalue(name)
+        spec = createspec_singlevalue(name, getdatapart_table(results, dffields))
     else
 
         # check if there are too many dimensions to map and if so, error
@@ -416,13 +440,14 @@ function createspec_multiscatterplot(name, df, dffields)
 
 end
 
-function createspec_singlevalue(name)
+# `datapart` holds the rows shown in the explorer's table view
+function createspec_singlevalue(name, datapart = [])
 
-    datapart = [];
     spec = Dict(
         "name" => name, 
         "type" => "singlevalue",
-        "VLspec" => Dict()
+        "VLspec" => Dict(),
+        "data" => datapart
     )
     return spec
 end
@@ -19,6 +19,67 @@ include("buildspecs.jl")
 include("buildmenu.jl")
 include("results.jl")
 
+# Version of the message protocol spoken with the explorer app, see
+# mimiexplorer-app/src/protocol.ts
+const _explorer_protocol_version = 1
+
+# The "model" entry names the components of `m`, so that the explorer can tell
+# which model a saved session belongs to
+function _explorer_hello(mode::String, m = nothing)
+    hello = Dict{String, Any}("version" => _explorer_protocol_version, "mode" => mode)
+    if m isa Model
+        hello["model"] = join(sort(map(string, collect(keys(_get_all_paths(m))))), ",")
+    end
+    return hello
+end
+
+# Send a response or event message to the explorer app in window `w`
+function _send_to_explorer(w, msg)
+    msgJSON = JSON.json(msg)
+    run(w, "receive($msgJSON)")
+end
+
+# Answer the request `msg` with the result of `f(msg)`, or with the error it
+# throws; a malformed message must not end the loop that reads them
+function _respond_to_explorer(f, w, msg)
+    id = get(msg, "id", nothing)
+    response = try
+        Dict("id" => id, "ok" => true, "result" => f(msg))
+    catch err
+        @warn("Explorer request $(get(msg, "cmd", "without a command")) failed", exception = err)
+        Dict("id" => id, "ok" => false, "error" => Dict("message" => sprint(showerror, err)))
+    end
+    _send_to_explorer(w, response)
+end
+
+# Names of the scenarios the results of `sim_inst` were saved for, either in
+# memory or in the subdirectories of `results_output_dir`
+function _sim_scenario_names(sim_inst::SimulationInstance, results_output_dir::Union{Nothing, String})
+    if results_output_dir === nothing
+        results = sim_inst.results[1]
+        isempty(results) && return String[]
+        df = first(values(results))
+        return hasproperty(df, :scen) ? unique(string.(df.scen)) : String[]
+    else
+        return filter(readdir(results_output_dir)) do dir
+            isdir(joinpath(results_output_dir, dir)) && !startswith(dir, "model_")
+        end
+    end
+end
+
+# The results of `comp_name`.`item_name` for model `model_index` and scenario
+# `scen_name`, read from `results_output_dir` unless it is nothing, and only
+# those of trial `trial` if it is given
+function _explorer_sim_results(sim_inst::SimulationInstance, comp_name::Symbol, item_name::Symbol, results_output_dir::Union{Nothing, String};
+                               model_index::Int = 1, scen_name::Union{Nothing, String} = nothing, trial::Union{Nothing, Int} = nothing)
+    if results_output_dir === nothing
+        results = Mimi.get_sim_results(sim_inst, comp_name, item_name; model_index = model_index, scen_name = scen_name)
+    else
+        results = Mimi.get_sim_results(sim_inst, comp_name, item_name, results_output_dir; model_index = model_index, scen_name = scen_name)
+    end
+    return trial === nothing ? results : filter(row -> row.trialnum == trial, results)
+end
+
 """
     explore(m::Model)
 
@@ -41,19 +102,26 @@ function explore(m::Model)
  
     #set async block to process messages
     @async for msg in msgchannel(w)
-        if (msg["cmd"] == "display_spec")
-            spec = _spec_for_item(m, Symbol(msg["comp_name"]), Symbol(msg["item_name"]))
-            specJSON = JSON.json(spec)
-            run(w, "display($specJSON)")
-        end
-        if (msg["cmd"] == "update_data")
-            comp_name = msg["comp_name"];
-            paths = _get_all_paths(m)
-            comp_path = paths[Symbol(comp_name)];
-            comp_def = find_comp(m, comp_path);
-            menulist = menu_item_list(m, Symbol(comp_name), comp_def)
-            menulistJSON = JSON.json(menulist);
-            result = run(w, "setData($menulistJSON)");
+        _respond_to_explorer(w, msg) do msg
+            cmd = msg["cmd"]
+            if cmd == "hello"
+                return _explorer_hello("model", m)
+            elseif cmd == "display_spec"
+                spec = _spec_for_item(m, Symbol(msg["comp_name"]), Symbol(msg["item_name"]))
+                spec === nothing && error("Spec cannot be built.")
+                return spec
+            elseif cmd == "update_data"
+                comp_name = msg["comp_name"];
+                paths = _get_all_paths(m)
+                haskey(paths, Symbol(comp_name)) || error("Model has no component named $comp_name")
+                comp_path = paths[Symbol(comp_name)];
+                comp_def = find_comp(m, comp_path);
+                return menu_item_list(m, Symbol(comp_name), comp_def)
+            elseif cmd == "item_index"
+                return menu_item_index(m)
+            else
+                error("Unknown explorer command $cmd")
+            end
         end
     end
 
@@ -61,14 +129,11 @@ function explore(m::Model)
 
     #refresh tree view
     subcomplist = tree_view_values(m)
-    subcomplistJSON = JSON.json(subcomplist)
-
-    result = run(w, "setTreeChildren($subcomplistJSON)")
+    _send_to_explorer(w, Dict("event" => "setTreeChildren", "payload" => subcomplist))
 
     #refresh data view
     datalist = menu_item_list(m)
-    datalistJSON = JSON.json(datalist)
-    result = run(w, "setData($datalistJSON)")
+    _send_to_explorer(w, Dict("event" => "setData", "payload" => datalist))
 
     return w
 
@@ -85,6 +150,66 @@ function explore(mi::ModelInstance)
     explore(m)
 end
 
+"""
+    explore(runs::Pair{<:AbstractString, Model}...)
+
+Produce a UI to compare several runs of a model in an independent window, each given
+as a pair of a name and a run Model, for example `explore("baseline" => m1, "policy" => m2)`.
+The window lists the components and items of all runs, flags the items whose values
+differ between runs, and plots an item of all runs together or as differences from
+one of them.
+"""
+function explore(runs::Pair{<:AbstractString, Model}...)
+
+    isempty(runs) && error("At least one run is needed to explore")
+    runs = Pair{String, Model}[string(name) => m for (name, m) in runs]
+    for (name, m) in runs
+        m.mi === nothing && error("Run $name must be run before it can be plotted")
+    end
+
+    #start Electron app
+    if app === nothing
+        global app = Application()
+    end
+
+    #window options
+    windowopts = Dict("width" => 1000, "height" => 1000)
+    w = Window(app, joinpath(@__PATH__, p"mimiexplorer-app/build/index.html"), options = windowopts)
+
+    #set async block to process messages
+    @async for msg in msgchannel(w)
+        _respond_to_explorer(w, msg) do msg
+            cmd = msg["cmd"]
+            if cmd == "hello"
+                hello = _explorer_hello("comparison", runs[1][2])
+                hello["runs"] = first.(runs)
+                return hello
+            elseif cmd == "display_spec"
+                return _spec_for_runs(runs, Symbol(msg["comp_name"]), Symbol(msg["item_name"]))
+            elseif cmd == "update_data"
+                comp_name = Symbol(msg["comp_name"])
+                any(m -> haskey(_get_all_paths(m), comp_name), last.(runs)) || error("No run has a component named $comp_name")
+                return _union_menu_items(runs) do m
+                    paths = _get_all_paths(m)
+                    haskey(paths, comp_name) ? menu_item_list(m, comp_name, find_comp(m, paths[comp_name])) : nothing
+                end
+            elseif cmd == "item_index"
+                return _union_menu_items(menu_item_index, runs)
+            else
+                error("Unknown explorer command $cmd")
+            end
+        end
+    end
+
+    #refresh tree view
+    _send_to_explorer(w, Dict("event" => "setTreeChildren", "payload" => tree_view_values(runs)))
+
+    #refresh data view
+    _send_to_explorer(w, Dict("event" => "setData", "payload" => _union_menu_items(menu_item_list, runs)))
+
+    return w
+end
+
 """
     explore(sim_inst::SimulationInstance; title="Electron", model_index::Int = 1, scen_name::Union{Nothing, String} = nothing, results_output_dir::Union{Nothing, String} = nothing)
 
@@ -110,39 +235,48 @@ function explore(sim_inst::SimulationInstance; title="Electron", model_index::In
         global app = Application()
     end
 
-    #load main html file
-    mainpath = replace(joinpath(@__DIR__, "assets", "main.html"), "\\" => "/")
-
     #window options
     windowopts = Dict("title" => title, "width" => 1100, "height" => 700)
-    w = Window(app, URI(joinpath(@__PATH__, "assets", "main.html")), options = windowopts)
-
-     #set async block to process messages
-     @async for msg in msgchannel(w)
-        comp_name = Symbol(msg["comp_name"]);
-        item_name = Symbol(msg["item_name"]);
+    w = Window(app, joinpath(@__PATH__, p"mimiexplorer-app/build/index.html"), options = windowopts)
 
-        if results_output_dir === nothing
-            results = Mimi.get_sim_results(sim_inst, comp_name, item_name; model_index = model_index, scen_name = scen_name)
-        else
-            results = Mimi.get_sim_results(sim_inst, comp_name, item_name, results_output_dir; model_index = model_index, scen_name = scen_name)
+    #set async block to process messages
+    @async for msg in msgchannel(w)
+        _respond_to_explorer(w, msg) do msg
+            cmd = msg["cmd"]
+            if cmd == "hello"
+                hello = _explorer_hello("simulation", sim_inst.models[1])
+                hello["title"] = title
+                hello["simulation"] = Dict(
+                    "models" => length(sim_inst.results),
+                    "scenarios" => _sim_scenario_names(sim_inst, results_output_dir),
+                    "trials" => sim_inst.trials,
+                    "model_index" => model_index,
+                    "scen_name" => scen_name
+                )
+                return hello
+            elseif cmd == "display_spec"
+                comp_name = Symbol(msg["comp_name"])
+                item_name = Symbol(msg["item_name"])
+                item_model_index = get(msg, "model_index", model_index)
+                item_scen_name = get(msg, "scen_name", scen_name)
+                results = _explorer_sim_results(sim_inst, comp_name, item_name, results_output_dir;
+                                                model_index = item_model_index, scen_name = item_scen_name,
+                                                trial = get(msg, "trial", nothing))
+
+                spec = Mimi._spec_for_sim_item(sim_inst, comp_name, item_name, results; model_index = item_model_index)
+                spec === nothing && error("Spec cannot be built.")
+                return spec
+            else
+                error("Unknown explorer command $cmd")
+            end
         end
-
-        spec = Mimi._spec_for_sim_item(sim_inst, comp_name, item_name, results; model_index = model_index)
-        specJSON = JSON.json(spec)
-
-        run(w, "display($specJSON)") 
-
     end
 
-     #refresh variable list
-     menulist = menu_item_list(sim_inst)
-     menulistJSON = JSON.json(menulist)
- 
-     result = run(w, "refresh($menulistJSON)")
-     
-     return w
- 
+    #refresh variable list
+    menulist = menu_item_list(sim_inst)
+    _send_to_explorer(w, Dict("event" => "setData", "payload" => Dict("vars" => menulist, "pars" => [])))
+
+    return w
 end
 
 # Helper function returns true if VegaLite is verison 3 or above, and false otherwise
@@ -104,3 +104,11 @@ function getdatapart_2d(cols, dffields, numrows, datasb)
     end
     return String(datasb)
 end
+
+# Every column of the dataframe, for items the explorer shows as a table only;
+# the columns keep their dataframe order, the last one holding the values
+function getdatapart_table(df, dffields)
+    cols = [df[!, j] for j in 1:length(dffields)]
+    rows = [OrderedDict(dffields[j] => string(cols[j][i]) for j in 1:length(dffields)) for i in 1:length(cols[1])]
+    return JSON.JSONText(JSON.json(rows))
+end
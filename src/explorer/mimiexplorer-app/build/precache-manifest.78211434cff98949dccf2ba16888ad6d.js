@@ -1,26 +0,0 @@
-self.__precacheManifest = (self.__precacheManifest || []).concat([
-  {
-    "revision": "31484a03be4a897feae47bda188af6ee",
-    "url": "./index.html"
-  },
-  {
-    "revision": "4a0124c4f88a9a50f69f",
-    "url": "./static/css/main.cffa2cfa.chunk.css"
-  },
-  {
-    "revision": "b97dd842d20ade836e5d",
-    "url": "./static/js/2.c20c54c2.chunk.js"
-  },
-  {
-    "revision": "301b9b7335c3eb351c2ad7f72140246d",
-    "url": "./static/js/2.c20c54c2.chunk.js.LICENSE.txt"
-  },
-  {
-    "revision": "4a0124c4f88a9a50f69f",
-    "url": "./static/js/main.173225f5.chunk.js"
-  },
-  {
-    "revision": "646bf361c7aca05c0201",
-    "url": "./static/js/runtime-main.a5a8ef9e.js"
-  }
-]);
\ No newline at end of file
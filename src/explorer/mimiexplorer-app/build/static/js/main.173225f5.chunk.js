@@ -1,2 +0,0 @@
-(this["webpackJsonpmimiexplorer-app"]=this["webpackJsonpmimiexplorer-app"]||[]).push([[0],{104:function(e,n,t){"use strict";(function(e){t.d(n,"a",(function(){return s}));var a=t(4),r=t(7),l=t(8),c=t(5),o=t.n(c),s=function(n){Object(r.a)(c,n);var t=Object(l.a)(c);function c(n){var r;return Object(a.a)(this,c),(r=t.call(this,n)).setData=function(e){r.setState({nodes:e})},r.renderNode=function(n){return o.a.createElement("button",{className:"data",onClick:function(t){t.preventDefault(),e.sendMessageToJulia({cmd:"display_spec",comp_name:n.comp_name,item_name:n.item_name})}},n.name)},r.render=function(){return o.a.createElement("div",{className:"ExplorerDataView"},o.a.createElement("h4",null,r.state.name),o.a.createElement("h6",null,"Variables"),o.a.createElement("ul",null,r.state.nodes&&r.state.nodes.vars?r.state.nodes.vars.map((function(e){return r.renderNode(e)})):null),o.a.createElement("h6",null,"Parameters"),o.a.createElement("ul",null,r.state.nodes&&r.state.nodes.pars?r.state.nodes.pars.map((function(e){return r.renderNode(e)})):null))},r.state={id:n.id,name:n.name,nodes:{vars:[],pars:[]}},e.setData=r.setData,r}return c}(o.a.Component);s.defaultProps={id:"",name:""}}).call(this,t(42))},105:function(e,n,t){"use strict";t.d(n,"a",(function(){return a}));Boolean("localhost"===window.location.hostname||"[::1]"===window.location.hostname||window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/));function a(){"serviceWorker"in navigator&&navigator.serviceWorker.ready.then((function(e){e.unregister()})).catch((function(e){console.error(e.message)}))}},116:function(e,n,t){e.exports=t(117)},117:function(e,n,t){"use strict";t.r(n),function(e){var n=t(92),a=t(5),r=t.n(a),l=t(33),c=t.n(l),o=t(98),s=t(105),i=t(26),u=Object(i.a)((function(e){return{"@global":{html:{fontSize:12}}}}))(o.a);c.a.render(r.a.createElement(u,null),document.getElementById("root")),s.a(),e.display=function(e){Object(n.default)("#vis",e.VLspec,{actions:!1})}}.call(this,t(42))},155:function(e,n,t){},98:function(e,n,t){"use strict";var a=t(5),r=t.n(a),l=(t(155),t(99)),c=t(104);n.a=function(){return r.a.createElement("div",{className:"App"},r.a.createElement("div",{className:"ExplorerBar"},r.a.createElement(l.a,{name:"Components"}),r.a.createElement(c.a,{id:"datalist",name:"Data"})),r.a.createElement("div",{id:"vis",className:"graphic"}))}},99:function(e,n,t){"use strict";(function(e){t.d(n,"a",(function(){return d}));var a=t(4),r=t(7),l=t(8),c=t(5),o=t.n(c),s=t(162),i=t(163),u=t(160),m=t(161),d=function(n){Object(r.a)(c,n);var t=Object(l.a)(c);function c(n){var r;return Object(a.a)(this,c),(r=t.call(this,n)).setTreeChildren=function(e){r.setState({children:e})},r.renderTree=function(n){return o.a.createElement("div",null,o.a.createElement(s.a,{key:n.name,nodeId:n.name,label:n.name,onLabelClick:function(t){t.preventDefault(),e.sendMessageToJulia({cmd:"update_data",comp_name:n.name})}},n.children?n.children.map((function(e){return r.renderTree(e)})):null))},r.render=function(){return o.a.createElement("div",{className:"ExplorerTreeView"},o.a.createElement("h4",null,r.state.name),o.a.createElement(i.a,{className:"classes.root",defaultCollapseIcon:o.a.createElement(u.a,null),defaultExpanded:["root"],defaultExpandIcon:o.a.createElement(m.a,null)},r.state.children?r.state.children.map((function(e){return r.renderTree(e)})):null))},r.state={name:n.name,children:new Array},e.setTreeChildren=r.setTreeChildren,r}return c}(o.a.Component);d.defaultProps={name:""}}).call(this,t(42))}},[[116,1,2]]]);
-//# sourceMappingURL=main.173225f5.chunk.js.map
\ No newline at end of file
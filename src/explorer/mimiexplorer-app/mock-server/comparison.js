@@ -0,0 +1,134 @@
+// Two made-up runs of the model in model.js, a baseline and a policy run with
+// lower emissions and an extra carbon tax component, answering like
+// `explore("baseline" => m1, "policy" => m2)`. The unions of trees and menus
+// follow tree_view_values and _union_menu_items in buildmenu.jl.
+
+const { createModel, components, topLevel } = require("./model");
+
+const withValue = (item, value) => ({ ...item, value });
+
+const { emissions, climate } = components;
+const policyComponents = {
+    ...components,
+    emissions: {
+        ...emissions,
+        vars: {
+            ...emissions.vars,
+            E: withValue(emissions.vars.E, (t) => emissions.vars.E.value(t) * Math.max(0, 1 - 0.05 * t)),
+            EIND: withValue(emissions.vars.EIND, (t, r) => emissions.vars.EIND.value(t, r) * Math.max(0, 1 - 0.05 * t)),
+        },
+    },
+    climate: {
+        ...climate,
+        vars: {
+            ...climate.vars,
+            temperature: withValue(climate.vars.temperature, (t) => 0.8 + 0.035 * t - 0.0006 * t * t),
+        },
+    },
+    carbontax: {
+        children: [],
+        vars: {
+            tax: { dims: ["time"], unit: "$/tCO2", value: (t) => 40 * Math.pow(1.05, t) },
+        },
+        pars: {
+            rate: { dims: [], unit: "", value: () => 0.05 },
+        },
+    },
+};
+
+const runs = [
+    { name: "baseline", model: createModel(components, topLevel) },
+    { name: "policy", model: createModel(policyComponents, topLevel.concat("carbontax").sort()) },
+];
+
+const byName = (a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase());
+
+function mergeTreeNodes(merged, nodes, run) {
+    nodes.forEach((node) => {
+        let target = merged.find((n) => n.name === node.name);
+        if (!target) {
+            target = { name: node.name, children: [], runs: [] };
+            merged.push(target);
+        }
+        target.runs.push(run);
+        mergeTreeNodes(target.children, node.children, run);
+    });
+    return merged.sort(byName);
+}
+
+function treeViewValues() {
+    const merged = [];
+    runs.forEach((r) => mergeTreeNodes(merged, r.model.treeViewValues(), r.name));
+    return merged;
+}
+
+function rowsOf(spec) {
+    return JSON.stringify(spec.data || spec.VLspec.data.values);
+}
+
+// Union of `list(model)` over the runs, skipping runs for which it returns null
+function unionMenuItems(list) {
+    const items = { vars: [], pars: [] };
+    runs.forEach((r) => {
+        const menu = list(r.model);
+        if (!menu) {
+            return;
+        }
+        ["vars", "pars"].forEach((kind) => menu[kind].forEach((item) => {
+            let target = items[kind].find((i) => i.comp_name === item.comp_name && i.item_name === item.item_name);
+            if (!target) {
+                target = { ...item, runs: [] };
+                items[kind].push(target);
+            }
+            target.runs.push(r.name);
+        }));
+    });
+    ["vars", "pars"].forEach((kind) => items[kind].forEach((item) => {
+        if (item.runs.length < runs.length) {
+            item.differs = true;
+            return;
+        }
+        const values = runs.map((r) => rowsOf(r.model.specForItem(item.comp_name, item.item_name)));
+        item.differs = values.some((v) => v !== values[0]);
+    }));
+    return { vars: items.vars.sort(byName), pars: items.pars.sort(byName) };
+}
+
+function menuItemList(comp_name) {
+    if (!comp_name) {
+        return unionMenuItems((model) => model.menuItemList());
+    }
+    if (!runs.some((r) => hasComponent(r.model, comp_name))) {
+        throw new Error(`No run has a component named ${comp_name}`);
+    }
+    return unionMenuItems((model) => hasComponent(model, comp_name) ? model.menuItemList(comp_name) : null);
+}
+
+function hasComponent(model, comp_name) {
+    const find = (nodes) => nodes.some((n) => n.name === comp_name || find(n.children));
+    return find(model.treeViewValues());
+}
+
+function itemIndex() {
+    return unionMenuItems((model) => model.itemIndex());
+}
+
+// The equivalent of _spec_for_runs; returns undefined if no run has the item
+function specForItem(comp_name, item_name) {
+    const runSpecs = runs
+        .filter((r) => r.model.findItem(comp_name, item_name))
+        .map((r) => ({ run: r.name, spec: r.model.specForItem(comp_name, item_name) }));
+    if (!runSpecs.length) {
+        return undefined;
+    }
+    return { name: `${comp_name} : ${item_name}`, type: "comparison", item_name, VLspec: {}, runs: runSpecs };
+}
+
+module.exports = {
+    runNames: () => runs.map((r) => r.name),
+    modelId: runs[0].model.modelId,
+    treeViewValues,
+    menuItemList,
+    itemIndex,
+    specForItem,
+};
@@ -0,0 +1,225 @@
+// A small made-up model for developing the explorer without Julia. The shapes
+// returned here follow tree_view_values, menu_item_list and the createspec_*
+// functions in src/explorer/buildmenu.jl and buildspecs.jl.
+
+const plotWidth = 450;
+const plotHeight = 410;
+const sliderHeight = 90;
+
+const years = [];
+for (let year = 2000; year <= 2100; year += 5) {
+    years.push(year);
+}
+const regions = ["USA", "EU", "China", "India", "RoW"];
+const sectors = ["energy", "industry", "land use"];
+
+// dimension => labels as getdatapart writes them
+const dimensionLabels = {
+    time: years.map((year) => `${year}-01-01`),
+    regions,
+    sectors,
+};
+
+// item_name => {dims, unit, value(...indices)}
+const components = {
+    grosseconomy: {
+        children: [],
+        vars: {
+            YGROSS: { dims: ["time", "regions"], unit: "$trillion", value: (t, r) => 50 * (r + 1) * Math.pow(1.02, t) },
+            K: { dims: ["time", "regions"], unit: "$trillion", value: (t, r) => 150 * (r + 1) * Math.pow(1.025, t) },
+        },
+        pars: {
+            l: { dims: ["time", "regions"], unit: "million", value: (t, r) => 300 * (r + 1) + 10 * t },
+            gama: { dims: [], value: () => 0.3 },
+        },
+    },
+    emissions: {
+        children: [],
+        vars: {
+            E: { dims: ["time"], unit: "GtCO2/yr", value: (t) => 35 + 2 * t - 0.04 * t * t },
+            EIND: { dims: ["time", "regions"], unit: "GtCO2/yr", value: (t, r) => (7 - r) * (1 + 0.1 * t - 0.003 * t * t) },
+        },
+        pars: {
+            sigma: { dims: ["regions"], unit: "tCO2/$1000", value: (r) => 0.2 + 0.05 * r },
+            efactor: { dims: ["time", "regions", "sectors"], unit: "tCO2/$1000", value: (t, r, s) => (0.3 - 0.01 * s) * Math.pow(0.99, t) + 0.02 * r },
+        },
+    },
+    climate: {
+        children: ["co2cycle", "radiativeforcing"],
+        vars: {
+            temperature: { dims: ["time"], unit: "degC", value: (t) => 0.8 + 0.035 * t },
+        },
+        pars: {
+            t2xco2: { dims: [], unit: "degC", value: () => 3.2 },
+        },
+    },
+    co2cycle: {
+        children: [],
+        vars: {
+            MAT: { dims: ["time"], unit: "GtC", value: (t) => 830 + 12 * t },
+        },
+        pars: {},
+    },
+    radiativeforcing: {
+        children: [],
+        vars: {
+            FORC: { dims: ["time"], unit: "W/m2", value: (t) => 2.3 + 0.07 * t },
+        },
+        pars: {
+            fco22x: { dims: [], unit: "W/m2", value: () => 3.8 },
+        },
+    },
+};
+
+const topLevel = ["climate", "emissions", "grosseconomy"];
+
+function menuItem(comp_name, item_name, item) {
+    const name = item.dims.length === 0
+        ? `${comp_name} : ${item_name} = ${item.value()}`
+        : `${comp_name} : ${item_name}`;
+    return { name, comp_name, item_name, dims: item.dims, unit: item.unit };
+}
+
+const byName = (a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase());
+
+// Rows as getdatapart would write them: every value is a string, and time is
+// written as a date.
+function dataRows(item_name, item) {
+    const rows = [];
+    const addRows = (row, indices) => {
+        if (indices.length === item.dims.length) {
+            rows.push({ ...row, [item_name]: String(item.value(...indices)) });
+            return;
+        }
+        const dim = item.dims[indices.length];
+        dimensionLabels[dim].forEach((label, i) => addRows({ ...row, [dim]: label }, indices.concat(i)));
+    };
+    addRows({}, []);
+    return rows;
+}
+
+function timeSeriesSpec(name, values, fields, colorField) {
+    const color = colorField ? { color: { field: colorField, type: "nominal", scale: { scheme: "category20" } } } : {};
+    return {
+        $schema: "https://vega.github.io/schema/vega-lite/v3.json",
+        description: "plot for a specific component variable pair",
+        data: { values },
+        vconcat: [
+            {
+                title: name,
+                width: plotWidth,
+                height: plotHeight,
+                mark: { type: "line", point: true },
+                encoding: {
+                    x: { field: fields[0], type: "temporal", timeUnit: "utcyear", axis: { title: "" }, scale: { domain: { selection: "brush" } } },
+                    y: { field: fields[fields.length - 1], type: "quantitative" },
+                    ...color,
+                },
+            },
+            {
+                title: "INTERACTIVE PLOT",
+                width: plotWidth,
+                height: sliderHeight,
+                mark: { type: "line", point: true },
+                selection: { brush: { type: "interval", encodings: ["x"] } },
+                encoding: {
+                    x: { field: fields[0], type: "temporal", timeUnit: "utcyear" },
+                    y: { field: fields[fields.length - 1], type: "quantitative", axis: { tickCount: 3, grid: false } },
+                    ...color,
+                },
+            },
+        ],
+    };
+}
+
+function barSpec(name, values, fields) {
+    return {
+        $schema: "https://vega.github.io/schema/vega-lite/v3.json",
+        description: "plot for a specific component variable pair",
+        title: name,
+        data: { values },
+        mark: "bar",
+        encoding: {
+            x: { field: fields[0], type: "ordinal" },
+            y: { field: fields[1], type: "quantitative" },
+        },
+        width: plotWidth,
+        height: plotHeight,
+    };
+}
+
+// A model made of `components`, with `topLevel` the names of those directly
+// in the model; comparison.js makes variants of the one above with it.
+function createModel(components, topLevel) {
+    function treeNode(comp_name) {
+        return { name: comp_name, children: components[comp_name].children.map(treeNode) };
+    }
+
+    function treeViewValues() {
+        return topLevel.map(treeNode);
+    }
+
+    // Variables and parameters of the given components, or of the top level
+    // components if omitted
+    function menuItemList(comp_name) {
+        return menuItems(comp_name ? [comp_name] : topLevel);
+    }
+
+    // Variables and parameters of every component, for searching across components
+    function itemIndex() {
+        return menuItems(Object.keys(components));
+    }
+
+    function menuItems(comp_names) {
+        const vars = [];
+        const pars = [];
+        comp_names.forEach((c) => {
+            const comp = components[c];
+            Object.keys(comp.vars).forEach((v) => vars.push(menuItem(c, v, comp.vars[v])));
+            Object.keys(comp.pars).forEach((p) => pars.push(menuItem(c, p, comp.pars[p])));
+        });
+        return { vars: vars.sort(byName), pars: pars.sort(byName) };
+    }
+
+    function findItem(comp_name, item_name) {
+        const comp = components[comp_name];
+        if (!comp) {
+            return undefined;
+        }
+        return comp.vars[item_name] || comp.pars[item_name];
+    }
+
+    // The equivalent of _spec_for_item; returns undefined for unknown items
+    function specForItem(comp_name, item_name) {
+        const item = findItem(comp_name, item_name);
+        if (!item) {
+            return undefined;
+        }
+        const name = `${comp_name} : ${item_name}`;
+        if (item.dims.length === 0) {
+            const data = [{ [item_name]: String(item.value()) }];
+            return { name: `${name} = ${item.value()}`, type: "singlevalue", VLspec: {}, data };
+        }
+        const values = dataRows(item_name, item);
+        if (item.dims.length > 2) {
+            const label = `${name} (value has > 2 indexed dims, cannot display a plot)`;
+            return { name: label, type: "singlevalue", VLspec: {}, data: values };
+        }
+        const fields = item.dims.concat(item_name);
+        if (item.dims[0] === "time") {
+            return fields.length > 2
+                ? { name, VLspec: timeSeriesSpec(name, values, fields, fields[1]) }
+                : { name, type: "line", VLspec: timeSeriesSpec(name, values, fields) };
+        }
+        return { name, type: "bar", VLspec: barSpec(name, values, fields) };
+    }
+
+    // Names of all components, as _explorer_hello sends them
+    function modelId() {
+        return Object.keys(components).sort().join(",");
+    }
+
+    return { modelId, treeViewValues, menuItemList, itemIndex, findItem, specForItem };
+}
+
+module.exports = { ...createModel(components, topLevel), createModel, components, topLevel };
@@ -0,0 +1,98 @@
+// Mock explorer host: speaks the same messages as `explore(m::Model)` over a
+// WebSocket, backed by the made-up model in model.js. See src/protocol.ts for
+// the message formats.
+//
+//     npm run mock-server
+//     REACT_APP_MIMI_HOST=ws://localhost:8090 npm start
+//
+// or open the running app with `?host=ws://localhost:8090`. Set
+// MOCK_MODE=simulation to serve the Monte Carlo results in simulation.js
+// instead, like `explore(sim_inst)`, or MOCK_MODE=comparison to compare the
+// two runs in comparison.js, like `explore("baseline" => m1, "policy" => m2)`.
+
+const WebSocket = require("ws");
+const model = require("./model");
+const simulation = require("./simulation");
+const comparison = require("./comparison");
+
+const PROTOCOL_VERSION = 1;
+
+const port = Number(process.env.PORT) || 8090;
+const mode = process.env.MOCK_MODE || "model";
+const simulationMode = mode === "simulation";
+const host = mode === "comparison" ? comparison : model;
+const server = new WebSocket.Server({ port });
+
+function pushEvent(socket, event, payload) {
+    socket.send(JSON.stringify({ event, payload }));
+}
+
+function handleSimulation(msg) {
+    switch (msg.cmd) {
+        case "hello":
+            return { version: PROTOCOL_VERSION, mode: "simulation", title: "Mock simulation", simulation: simulation.info() };
+        case "display_spec": {
+            const spec = simulation.specForItem(msg.comp_name, msg.item_name, msg.model_index, msg.scen_name, msg.trial);
+            if (!spec) {
+                throw new Error(`${msg.comp_name}.${msg.item_name} is not a saved variable of this simulation`);
+            }
+            return spec;
+        }
+        default:
+            throw new Error(`Unknown explorer command ${msg.cmd}`);
+    }
+}
+
+function handle(msg) {
+    if (simulationMode) {
+        return handleSimulation(msg);
+    }
+    switch (msg.cmd) {
+        case "hello":
+            return mode === "comparison"
+                ? { version: PROTOCOL_VERSION, mode: "comparison", model: host.modelId(), runs: comparison.runNames() }
+                : { version: PROTOCOL_VERSION, mode: "model", model: host.modelId() };
+        case "display_spec": {
+            const spec = host.specForItem(msg.comp_name, msg.item_name);
+            if (!spec) {
+                throw new Error(`${msg.comp_name} has no variable or parameter named ${msg.item_name}`);
+            }
+            return spec;
+        }
+        case "update_data":
+            return host.menuItemList(msg.comp_name);
+        case "item_index":
+            return host.itemIndex();
+        default:
+            throw new Error(`Unknown explorer command ${msg.cmd}`);
+    }
+}
+
+server.on("connection", (socket) => {
+    // same start-up sequence as explore: tree view first, then the data view
+    if (simulationMode) {
+        pushEvent(socket, "setData", { vars: simulation.menuItemList(), pars: [] });
+    } else {
+        pushEvent(socket, "setTreeChildren", host.treeViewValues());
+        pushEvent(socket, "setData", host.menuItemList());
+    }
+
+    socket.on("message", (data) => {
+        let msg;
+        let response;
+        try {
+            msg = JSON.parse(data);
+            response = { id: msg.id, ok: true, result: handle(msg) };
+        } catch (err) {
+            if (!msg) {
+                // not even JSON, so there is no request id to answer
+                console.error(`Dropping malformed frame: ${err.message}`);
+                return;
+            }
+            response = { id: msg.id, ok: false, error: { message: err.message } };
+        }
+        socket.send(JSON.stringify(response));
+    });
+});
+
+console.log(`mock explorer host (${mode}) listening on ws://localhost:${port}`);
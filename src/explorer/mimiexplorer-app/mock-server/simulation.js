@@ -0,0 +1,175 @@
+// A made-up Monte Carlo simulation of the model in model.js, for developing
+// the simulation mode of the explorer without Julia. The specs follow
+// _spec_for_sim_item in src/explorer/buildspecs.jl.
+
+const plotWidth = 450;
+const plotHeight = 410;
+const sliderHeight = 90;
+
+const trials = 50;
+const models = 2;
+const scenarios = ["low", "high"];
+const years = [];
+for (let year = 2000; year <= 2100; year += 10) {
+    years.push(year);
+}
+const regions = ["USA", "EU", "China"];
+
+// deterministic pseudo-random draws, so every request sees the same results
+function draw(...keys) {
+    let h = 2166136261;
+    keys.join("|").split("").forEach((c) => {
+        h = Math.imul(h ^ c.charCodeAt(0), 16777619);
+    });
+    return ((h >>> 0) % 10000) / 10000;
+}
+
+const savelist = [
+    { comp_name: "climate", item_name: "t2xco2", dims: [] },
+    { comp_name: "climate", item_name: "temperature", dims: ["time"] },
+    { comp_name: "grosseconomy", item_name: "YGROSS", dims: ["time", "regions"] },
+];
+
+function info() {
+    return { models, scenarios, trials, model_index: 1, scen_name: null };
+}
+
+function menuItemList() {
+    return savelist.map((item) => ({ name: item.item_name, ...item }));
+}
+
+function results(item, model_index, scen_name, trial) {
+    const scale = (model_index === 2 ? 1.2 : 1) * (scen_name === "high" ? 1.5 : 1);
+    const rows = [];
+    for (let n = 1; n <= trials; n++) {
+        if (trial && n !== trial) {
+            continue;
+        }
+        const u = draw(item.item_name, n);
+        if (item.dims.length === 0) {
+            rows.push({ [item.item_name]: String(2 + 2.5 * u), trialnum: String(n) });
+        } else if (item.dims.length === 1) {
+            years.forEach((year, t) => rows.push({
+                time: `${year}-01-01`, [item.item_name]: String(scale * (0.8 + (0.2 + 0.2 * u) * t)), trialnum: String(n),
+            }));
+        } else {
+            years.forEach((year, t) => regions.forEach((region, r) => rows.push({
+                time: `${year}-01-01`, regions: region, [item.item_name]: String(scale * 50 * (r + 1) * Math.pow(1.02 + 0.02 * u, t)), trialnum: String(n),
+            })));
+        }
+    }
+    return rows;
+}
+
+function histogramSpec(name, values, field) {
+    return {
+        $schema: "https://vega.github.io/schema/vega-lite/v3.json",
+        description: "plot for a specific component variable pair",
+        title: name,
+        data: { values },
+        mark: { type: "bar" },
+        encoding: {
+            x: { field, type: "quantitative", bin: { maxbins: 15 } },
+            y: { aggregate: "count", type: "quantitative", title: "count" },
+        },
+        width: plotWidth,
+        height: plotHeight,
+    };
+}
+
+// mean line with a min/max band
+function trumpetLayers(field, color) {
+    return [
+        { mark: "line", encoding: { y: { aggregate: "mean", field, type: "quantitative" }, ...color } },
+        {
+            mark: "area",
+            encoding: {
+                y: { aggregate: "max", field, type: "quantitative", title: field },
+                y2: { aggregate: "min", field },
+                opacity: { value: 0.5 },
+                ...color,
+            },
+        },
+    ];
+}
+
+function trumpetSpec(name, values, field) {
+    const x = { field: "time", type: "temporal", timeUnit: "utcyear" };
+    return {
+        $schema: "https://vega.github.io/schema/vega-lite/v3.json",
+        description: "plot for a specific component variable pair",
+        data: { values },
+        vconcat: [
+            {
+                title: name,
+                width: plotWidth,
+                height: plotHeight,
+                encoding: { x: { ...x, scale: { domain: { selection: "brush" } } } },
+                layer: trumpetLayers(field, {}),
+            },
+            {
+                title: "INTERACTIVE PLOT",
+                width: plotWidth,
+                height: sliderHeight,
+                encoding: { x },
+                layer: [
+                    trumpetLayers(field, {})[0],
+                    { ...trumpetLayers(field, {})[1], selection: { brush: { type: "interval", encodings: ["x"] } } },
+                ],
+            },
+        ],
+    };
+}
+
+function multiTrumpetSpec(name, values, field) {
+    const color = { color: { field: "regions", type: "nominal", scale: { scheme: "category20" } } };
+    return {
+        $schema: "https://vega.github.io/schema/vega-lite/v3.json",
+        description: "plot for a specific component variable pair",
+        title: `${name} (use top plot for interactive selection)`,
+        data: { values },
+        vconcat: [
+            {
+                mark: "line",
+                width: plotWidth,
+                height: sliderHeight,
+                selection: { brush: { type: "interval", encodings: ["x"] } },
+                encoding: {
+                    x: { field: "time", type: "temporal", timeUnit: "utcyear" },
+                    y: { aggregate: "mean", field, type: "quantitative", title: `Mean ${field}` },
+                    ...color,
+                },
+            },
+            {
+                facet: { row: { field: "regions", type: "nominal" } },
+                spec: {
+                    width: plotWidth,
+                    height: plotHeight / 2,
+                    encoding: {
+                        x: { field: "time", type: "temporal", timeUnit: "utcyear", scale: { domain: { selection: "brush" } } },
+                        ...color,
+                    },
+                    layer: trumpetLayers(field, color),
+                },
+            },
+        ],
+    };
+}
+
+// The equivalent of explore(sim_inst)'s display_spec handler
+function specForItem(comp_name, item_name, model_index, scen_name, trial) {
+    const item = savelist.find((i) => i.comp_name === comp_name && i.item_name === item_name);
+    if (!item) {
+        return undefined;
+    }
+    const name = `${comp_name} : ${item_name}`;
+    const values = results(item, model_index || 1, scen_name, trial);
+    if (item.dims.length === 0) {
+        return { name, type: "histogram", VLspec: histogramSpec(name, values, item_name) };
+    }
+    return item.dims.length === 1
+        ? { name, VLspec: trumpetSpec(name, values, item_name) }
+        : { name, VLspec: multiTrumpetSpec(name, values, item_name) };
+}
+
+module.exports = { info, menuItemList, specForItem };
@@ -0,0 +1,48 @@
+# Records the specs buildspecs.jl builds for one item of each kind of plot to
+# src/__fixtures__/specs, where PlotWorkspace.test.tsx renders them. Run it
+# from the root of the Mimi repository with
+#
+#     julia --project src/explorer/mimiexplorer-app/record-specs.jl
+#
+# after changing buildspecs.jl, then update the snapshots with `npm test -- -u`
+# after checking the differences.
+
+using Mimi
+using Distributions
+using JSON
+using Random
+
+include(joinpath(@__DIR__, "..", "..", "..", "test", "mcs", "test-model-2", "multi-region-model.jl"))
+using .MyModel
+
+m = construct_MyModel()
+run(m)
+
+# the model specs come first, as the simulation leaves the model with the
+# results of its last trial
+specs = [
+    "line" => Mimi._spec_for_item(m, :emissions, :E_Global),
+    "multiline" => Mimi._spec_for_item(m, :grosseconomy, :YGROSS),
+    "bar" => Mimi._spec_for_item(m, :grosseconomy, :depk),
+]
+
+Random.seed!(1)
+sd = @defsim begin
+    grosseconomy.share = Uniform(0.2, 0.8)
+    emissions.sigma[:, Region1] *= Uniform(0.75, 1.25)
+    save(grosseconomy.share_var, emissions.E_Global)
+end
+si = run(sd, m, 20)
+
+sim_spec(comp_name, item_name) = Mimi._spec_for_sim_item(si, comp_name, item_name, Mimi.get_sim_results(si, comp_name, item_name))
+push!(specs, "trumpet" => sim_spec(:emissions, :E_Global))
+push!(specs, "histogram" => sim_spec(:grosseconomy, :share_var))
+
+dir = joinpath(@__DIR__, "src", "__fixtures__", "specs")
+mkpath(dir)
+for (kind, spec) in specs
+    open(joinpath(dir, "$kind.json"), "w") do io
+        JSON.print(io, spec, 2)
+    end
+    println("Wrote $kind.json")
+end
@@ -1,9 +1,190 @@
 import React from 'react';
-import { render } from '@testing-library/react';
+import { fireEvent, render, within } from '@testing-library/react';
 import App from './App';
+import { getTransport } from './transport';
+import { DataNodeList, PROTOCOL_VERSION, TreeNode } from './protocol';
+import { MockJulia, mockJulia } from './testHarness';
 
-test('renders learn react link', () => {
-  const { getByText } = render(<App />);
-  const linkElement = getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+const tree: TreeNode[] = [
+  {name: "climate", children: [{name: "co2cycle", children: []}, {name: "radiativeforcing", children: []}]},
+  {name: "emissions", children: []},
+];
+
+const data: DataNodeList = {
+  vars: [
+    {name: "emissions : E", comp_name: "emissions", item_name: "E", dims: ["time"], unit: "GtCO2/yr"},
+    {name: "emissions : EIND", comp_name: "emissions", item_name: "EIND", dims: ["time", "regions"], unit: "GtCO2/yr"},
+  ],
+  pars: [
+    {name: "emissions : sigma", comp_name: "emissions", item_name: "sigma", dims: ["regions"], unit: "tCO2/$1000"},
+  ],
+};
+
+let julia: MockJulia;
+
+beforeEach(() => {
+  julia = mockJulia();
+});
+
+describe('handshake', () => {
+  test('sends hello with the protocol version', async () => {
+    render(<App />);
+    getTransport().handshake();
+    expect(julia.last("hello")).toMatchObject({cmd: "hello", version: PROTOCOL_VERSION});
+    await julia.respond("hello", {version: PROTOCOL_VERSION, mode: "model", title: "My model"});
+    expect(document.title).toBe("My model");
+  });
+
+  test('reports a host speaking another protocol version', async () => {
+    const { getByText } = render(<App />);
+    getTransport().handshake();
+    await julia.respond("hello", {version: PROTOCOL_VERSION + 1});
+    expect(getByText(/speaks explorer protocol version/)).toHaveClass("error");
+  });
+});
+
+describe('component tree', () => {
+  test('renders the components from setTreeChildren', async () => {
+    const { container, getByText } = render(<App />);
+    await julia.push("setTreeChildren", tree);
+    const labels = Array.from(container.querySelectorAll(".ExplorerTreeView > ul > div > li > div .MuiTreeItem-label"));
+    expect(labels.map((label) => label.textContent)).toEqual(["climate", "emissions"]);
+    expect(getByText("climate").closest("li")).toHaveAttribute("aria-expanded", "false");
+  });
+
+  test('expands a component to show its subcomponents', async () => {
+    const { container, getByText } = render(<App />);
+    await julia.push("setTreeChildren", tree);
+    fireEvent.click(getByText("climate").closest("li")!.querySelector(".MuiTreeItem-iconContainer")!);
+    expect(getByText("climate").closest("li")).toHaveAttribute("aria-expanded", "true");
+    expect(container.querySelector(".ExplorerTreeView")).toHaveTextContent("co2cycle");
+    expect(container.querySelector(".ExplorerTreeView")).toHaveTextContent("radiativeforcing");
+  });
+
+  test('requests the data of a clicked component and lists it', async () => {
+    const { getByText } = render(<App />);
+    await julia.push("setTreeChildren", tree);
+    fireEvent.click(getByText("emissions"));
+    expect(julia.sent()).toEqual([{cmd: "update_data", comp_name: "emissions", id: expect.any(Number)}]);
+    expect(getByText("emissions (loading...)")).toBeInTheDocument();
+
+    await julia.respond("update_data", data);
+    expect(getByText("emissions")).toBeInTheDocument();
+    expect(getByText("emissions : E")).toBeInTheDocument();
+  });
+
+  test('reports components whose data cannot be loaded', async () => {
+    const { getByText } = render(<App />);
+    await julia.push("setTreeChildren", tree);
+    fireEvent.click(getByText("emissions"));
+    await julia.fail("update_data", "Unknown component");
+    expect(getByText("Could not load emissions: Unknown component")).toHaveClass("error");
+  });
+});
+
+describe('data list', () => {
+  test('lists variables and parameters from setData', async () => {
+    const { container } = render(<App />);
+    await julia.push("setData", data);
+    const lists = container.querySelectorAll(".ExplorerDataView ul");
+    const names = (list: Element) => Array.from(list.querySelectorAll("button.data > span:first-child")).map((s) => s.textContent);
+    expect(names(lists[0])).toEqual(["emissions : E", "emissions : EIND"]);
+    expect(names(lists[1])).toEqual(["emissions : sigma"]);
+  });
+
+  test('shows the dimensions and unit of each item', async () => {
+    const { getByText } = render(<App />);
+    await julia.push("setData", data);
+    const badges = getByText("emissions : EIND").closest("button")!.querySelectorAll(".badge");
+    expect(Array.from(badges).map((b) => b.textContent)).toEqual(["time × regions", "GtCO2/yr"]);
+  });
+
+  test('requests the spec of a clicked item', async () => {
+    const { getByText } = render(<App />);
+    await julia.push("setData", data);
+    fireEvent.click(getByText("emissions : sigma"));
+    expect(julia.sent()).toEqual([{cmd: "display_spec", comp_name: "emissions", item_name: "sigma", id: expect.any(Number)}]);
+  });
+
+  test('marks the item whose spec cannot be displayed', async () => {
+    const { container, getByText } = render(<App />);
+    await julia.push("setData", data);
+    const list = within(container.querySelector(".ExplorerDataView") as HTMLElement);
+    fireEvent.click(list.getByText("emissions : sigma"));
+    await julia.fail("display_spec", "Cannot plot sigma");
+    expect(list.getByText("emissions : sigma").closest("button")).toHaveClass("error");
+    expect(getByText("Could not display emissions : sigma: Cannot plot sigma")).toBeInTheDocument();
+  });
+
+  test('only marks the selected item with the errors of its own requests', async () => {
+    const { container } = render(<App />);
+    await julia.push("setData", data);
+    const list = within(container.querySelector(".ExplorerDataView") as HTMLElement);
+    const button = (name: string) => list.getByText(name).closest("button");
+    fireEvent.click(list.getByText("emissions : sigma"));
+    const sigma = julia.last("display_spec");
+    fireEvent.click(list.getByText("emissions : E"));
+    await julia.fail("display_spec", "Cannot plot sigma", sigma);
+    expect(button("emissions : E")).not.toHaveClass("error");
+    expect(button("emissions : sigma")).not.toHaveClass("error");
+
+    await julia.fail("display_spec", "Cannot plot E");
+    expect(button("emissions : E")).toHaveClass("error");
+  });
+
+  test('highlights the components of search results in the tree', async () => {
+    const { container, getByText } = render(<App />);
+    await julia.push("setTreeChildren", tree);
+    await julia.push("setData", data);
+    fireEvent.change(container.querySelector(".DataFilters input[type=search]")!, {target: {value: "sigma"}});
+    expect(getByText("emissions")).toHaveClass("highlighted");
+    expect(getByText("climate")).not.toHaveClass("highlighted");
+  });
+});
+
+describe('simulation mode', () => {
+  const simulation = {models: 2, scenarios: ["low", "high"], trials: 50, model_index: 1, scen_name: null};
+
+  test('requests the spec of a clicked item with the chosen results', async () => {
+    const { container, getByText } = render(<App />);
+    getTransport().handshake();
+    await julia.respond("hello", {version: PROTOCOL_VERSION, mode: "simulation", simulation: simulation});
+    await julia.push("setData", {vars: [{name: "temperature", comp_name: "climate", item_name: "temperature"}], pars: []});
+    expect(container.querySelector(".ExplorerTreeView")).toBeNull();
+
+    fireEvent.change(getByText("Scenario").querySelector("select")!, {target: {value: "high"}});
+    fireEvent.click(getByText("temperature"));
+    expect(julia.last("display_spec")).toEqual({
+      cmd: "display_spec", comp_name: "climate", item_name: "temperature",
+      model_index: 1, scen_name: "high", trial: null, id: expect.any(Number),
+    });
+  });
+
+  test('applies a typed trial on Enter', async () => {
+    const { getByText, getByPlaceholderText } = render(<App />);
+    getTransport().handshake();
+    await julia.respond("hello", {version: PROTOCOL_VERSION, mode: "simulation", simulation: simulation});
+    await julia.push("setData", {vars: [{name: "temperature", comp_name: "climate", item_name: "temperature"}], pars: []});
+    fireEvent.click(getByText("temperature"));
+
+    const trial = getByPlaceholderText("all 50");
+    fireEvent.change(trial, {target: {value: "1"}});
+    fireEvent.change(trial, {target: {value: "12"}});
+    expect(julia.sent("display_spec")).toHaveLength(1);
+    fireEvent.keyDown(trial, {key: "Enter"});
+    fireEvent.blur(trial);
+    expect(julia.sent("display_spec")).toHaveLength(2);
+    expect(julia.last("display_spec")).toMatchObject({item_name: "temperature", trial: 12});
+  });
+
+  test('displays the item of a restored session once', async () => {
+    window.history.replaceState(null, "", "#item=climate/temperature&scen=high");
+    render(<App />);
+    getTransport().handshake();
+    await julia.respond("hello", {version: PROTOCOL_VERSION, mode: "simulation", simulation: simulation});
+    expect(julia.sent("display_spec")).toEqual([{
+      cmd: "display_spec", comp_name: "climate", item_name: "temperature",
+      model_index: 1, scen_name: "high", trial: null, id: expect.any(Number),
+    }]);
+  });
 });
@@ -1,21 +1,75 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import './App.css';
 import ExplorerTreeView from './ExplorerTreeView'
 import ExplorerDataView from './ExplorerDataView'
+import PlotWorkspace from './PlotWorkspace'
+import SimulationControls from './SimulationControls'
+import { getTransport } from './transport';
+import { HelloResult, SimulationOptions } from './protocol';
+import { getSession } from './session';
+
+const noOptions: SimulationOptions = {};
+const noRuns: string[] = [];
 
 function App() {    
+  const [searchResults, setSearchResults] = useState<string[]>([]);
+  const [hello, setHello] = useState<HelloResult | null>(null);
+  const [simOptions, setSimOptions] = useState<SimulationOptions>({});
+
+  useEffect(() => getTransport().onRequest("hello", (state) => {
+    if (state.status === "done") {
+      const result = state.result;
+      setHello(result);
+      if (result.title) {
+        document.title = result.title;
+      }
+      if (result.simulation) {
+        setSimOptions({model_index: result.simulation.model_index, scen_name: result.simulation.scen_name, trial: null});
+      }
+      getSession().start(result);
+    }
+  }), []);
+
+  useEffect(() => {
+    const unsubscribe = getSession().onRestore((session) => {
+      setSimOptions((options) => ({...options, ...session.options}));
+    });
+    return () => {
+      unsubscribe();
+      getSession().stop();
+    };
+  }, []);
+
+  useEffect(() => getSession().update({options: simOptions}), [simOptions]);
+
+  const simulation = hello && hello.mode === "simulation" && hello.simulation ? hello.simulation : null;
+  const runs = hello && hello.mode === "comparison" && hello.runs ? hello.runs : noRuns;
   return (
     <div className="App">
       <div className="ExplorerBar">
-          <ExplorerTreeView
-            name="Components"
-          ></ExplorerTreeView>
+          {simulation ? (
+            <SimulationControls
+              info={simulation}
+              options={simOptions}
+              onChange={setSimOptions}
+            ></SimulationControls>
+          ) : (
+            <ExplorerTreeView
+              name="Components"
+              highlighted={searchResults}
+              runs={runs}
+            ></ExplorerTreeView>
+          )}
           <ExplorerDataView
             id="datalist"
-            name="Data"
+            name={simulation ? "Saved Variables" : "Data"}
+            simulation={!!simulation}
+            requestOptions={simulation ? simOptions : noOptions}
+            runs={runs}
+            onSearchResults={setSearchResults}
           ></ExplorerDataView>
       </div>
-      <div id="vis" className="graphic"></div>
+      <PlotWorkspace></PlotWorkspace>
     </div>
   );
 }
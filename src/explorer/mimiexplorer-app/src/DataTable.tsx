@@ -0,0 +1,171 @@
+import React from 'react';
+import { Row, SortDirection, Table, formatCell, pivot, sortRows, tableColumns } from './tableData';
+
+export interface DataTableProps {
+    rows: Row[],
+}
+
+type DataTableState = {
+    sortColumn: string | null,
+    sortDirection: SortDirection,
+    pinned: string[],
+    pivotColumn: string | null,
+    valueColumn: string | null,
+    scrollTop: number,
+}
+
+const ROW_HEIGHT = 24;
+const COLUMN_WIDTH = 110;
+const VIEWPORT_HEIGHT = 480;
+const OVERSCAN = 10;
+
+// A virtualized grid over the rows of a displayed item: only the rows in view
+// are rendered, so that large time x region arrays scroll smoothly. Columns
+// sort on click, can be pinned to the left, and one column can be pivoted out
+// into a column per value.
+export default class DataTable extends React.Component<DataTableProps, DataTableState> {
+
+    constructor(props: DataTableProps) {
+        super(props);
+        this.state = {
+            sortColumn: null,
+            sortDirection: "asc",
+            pinned: [],
+            pivotColumn: null,
+            valueColumn: null,
+            scrollTop: 0,
+        }
+    }
+
+    viewport = React.createRef<HTMLDivElement>();
+
+    componentDidUpdate(prevProps: DataTableProps) {
+        if (prevProps.rows !== this.props.rows && this.viewport.current) {
+            this.viewport.current.scrollTop = 0;
+            this.setState({scrollTop: 0});
+        }
+    }
+
+    // the last computed table, so that scrolling does not pivot and sort again
+    cache: { key: any[], table: Table } | null = null;
+
+    columns = () => tableColumns(this.props.rows);
+
+    // The value column defaults to the last one, the item itself
+    valueColumn = (columns: string[]) => {
+        const value = this.state.valueColumn;
+        return value !== null && columns.indexOf(value) !== -1 ? value : columns[columns.length - 1];
+    }
+
+    pivotColumn = (columns: string[]) => {
+        const column = this.state.pivotColumn;
+        return column !== null && columns.indexOf(column) !== -1 && column !== this.valueColumn(columns) ? column : null;
+    }
+
+    table = (): Table => {
+        const columns = this.columns();
+        const valueColumn = this.valueColumn(columns);
+        const pivotColumn = this.pivotColumn(columns);
+        const key = [this.props.rows, pivotColumn, valueColumn, this.state.sortColumn, this.state.sortDirection];
+        if (this.cache && this.cache.key.every((k, i) => k === key[i])) {
+            return this.cache.table;
+        }
+        let table: Table = pivotColumn ? pivot(this.props.rows, pivotColumn, valueColumn) : {columns: columns, rows: this.props.rows};
+        if (this.state.sortColumn !== null && table.columns.indexOf(this.state.sortColumn) !== -1) {
+            table = {...table, rows: sortRows(table.rows, this.state.sortColumn, this.state.sortDirection)};
+        }
+        this.cache = {key: key, table: table};
+        return table;
+    }
+
+    sort = (column: string) => {
+        this.setState((state) => ({
+            sortColumn: column,
+            sortDirection: state.sortColumn === column && state.sortDirection === "asc" ? "desc" : "asc",
+        }));
+    }
+
+    togglePin = (column: string) => {
+        this.setState((state) => ({
+            pinned: state.pinned.indexOf(column) === -1 ? state.pinned.concat(column) : state.pinned.filter((c) => c !== column),
+        }));
+    }
+
+    onScroll = (event: React.UIEvent<HTMLDivElement>) => {
+        this.setState({scrollTop: event.currentTarget.scrollTop});
+    }
+
+    renderOptions = (columns: string[]) => {
+        const valueColumn = this.valueColumn(columns);
+        const pivotColumn = this.pivotColumn(columns);
+        return (
+            <div className="TableOptions">
+                <label title="Spread this column out into a column per value">
+                    Pivot
+                    <select value={pivotColumn || ""} onChange={(event) => this.setState({pivotColumn: event.target.value || null})}>
+                        <option value="">none</option>
+                        {columns.filter((c) => c !== valueColumn).map((c) => <option key={c} value={c}>{c}</option>)}
+                    </select>
+                </label>
+                {pivotColumn ? (
+                    <label>
+                        Values
+                        <select value={valueColumn} onChange={(event) => this.setState({valueColumn: event.target.value})}>
+                            {columns.filter((c) => c !== pivotColumn).map((c) => <option key={c} value={c}>{c}</option>)}
+                        </select>
+                    </label>
+                ) : null}
+            </div>
+        );
+    }
+
+    render = () => {
+        const columns = this.columns();
+        if (columns.length === 0) {
+            return (<p className="status">No data to show for this item.</p>);
+        }
+        const table = this.table();
+        const pinned = table.columns.filter((c) => this.state.pinned.indexOf(c) !== -1);
+        const ordered = pinned.concat(table.columns.filter((c) => pinned.indexOf(c) === -1));
+        const first = Math.max(0, Math.floor(this.state.scrollTop / ROW_HEIGHT) - OVERSCAN);
+        const last = Math.min(table.rows.length, Math.ceil((this.state.scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+        const cellStyle = (index: number) => index < pinned.length ? {left: index * COLUMN_WIDTH} : undefined;
+        const cellClass = (index: number) => index < pinned.length ? "pinned" : undefined;
+        return (
+            <div className="DataTable">
+                {this.renderOptions(columns)}
+                <div className="TableViewport" ref={this.viewport} style={{maxHeight: VIEWPORT_HEIGHT}} onScroll={this.onScroll}>
+                    <table style={{width: ordered.length * COLUMN_WIDTH}}>
+                        <thead>
+                            <tr>
+                                {ordered.map((column, index) => (
+                                    <th key={column} className={cellClass(index)} style={cellStyle(index)}>
+                                        <span className="sort" title="Sort" onClick={() => this.sort(column)}>
+                                            {formatCell(column)}
+                                            {this.state.sortColumn === column ? (this.state.sortDirection === "asc" ? " ▲" : " ▼") : null}
+                                        </span>
+                                        <button title={index < pinned.length ? "Unpin" : "Pin to the left"} onClick={() => this.togglePin(column)}>
+                                            {index < pinned.length ? "Unpin" : "Pin"}
+                                        </button>
+                                    </th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <tr style={{height: first * ROW_HEIGHT}}></tr>
+                            {table.rows.slice(first, last).map((row, i) => (
+                                <tr key={first + i} style={{height: ROW_HEIGHT}}>
+                                    {ordered.map((column, index) => (
+                                        <td key={column} className={cellClass(index)} style={cellStyle(index)}>{formatCell(row[column])}</td>
+                                    ))}
+                                </tr>
+                            ))}
+                            <tr style={{height: (table.rows.length - last) * ROW_HEIGHT}}></tr>
+                        </tbody>
+                    </table>
+                </div>
+                <p className="status">{table.rows.length} rows</p>
+            </div>
+        );
+    };
+}
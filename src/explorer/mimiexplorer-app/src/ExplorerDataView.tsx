@@ -1,31 +1,43 @@
 import React from 'react';
+import { getTransport } from './transport';
+import { DataNode, DataNodeList, SimulationOptions } from './protocol';
+import { Dimensionality, ItemKind, dimensionalityLabels, filterNodes } from './dataFilter';
+import { ItemRef, getSession, sameItem, sameOptions } from './session';
 
 export interface DataViewProps {
     id: string
     name: string,
+    simulation: boolean,
+    requestOptions: SimulationOptions,
+    // the runs being compared, if any
+    runs: string[],
+    onSearchResults: (comp_names: string[]) => void,
 }
 
 type DataViewState = {
     id: string,
     name: string,
-    nodes: DataNodeListState,
-}
-
-type DataNodeListState = {
-    vars: DataNodeState[],
-    pars: DataNodeState[],
-}
-
-type DataNodeState = {
-    name: string,
-    item_name: string,
-    comp_name: string,
+    nodes: DataNodeList,
+    loading: boolean,
+    error: string | null,
+    selected: ItemRef | null,
+    selectedError: string | null,
+    query: string,
+    kind: ItemKind,
+    dims: Dimensionality,
+    allComponents: boolean,
+    differing: boolean,
+    index: DataNodeList | null,
 }
 
 export default class ExplorerDataView extends React.Component<DataViewProps, DataViewState> {
     static defaultProps = {
         id: "",
-        name: ""
+        name: "",
+        simulation: false,
+        requestOptions: {},
+        runs: [],
+        onSearchResults: () => {},
     };
 
     constructor(props: DataViewProps) {
@@ -37,39 +49,200 @@ export default class ExplorerDataView extends React.Component<DataViewProps, Dat
                 vars: [],
                 pars: [],
             },
+            loading: false,
+            error: null,
+            selected: null,
+            selectedError: null,
+            query: "",
+            kind: "all",
+            dims: "all",
+            allComponents: false,
+            differing: false,
+            index: null,
         }
-        global["setData"] = this.setData;
     }
 
-    setData = (nodeInfo:DataNodeListState) => {
-        this.setState({nodes: nodeInfo});
+    unsubscribe: Array<() => void> = [];
+
+    componentDidMount() {
+        const transport = getTransport();
+        this.unsubscribe = [
+            transport.on("setData", this.setData),
+            transport.onRequest("update_data", (state) => {
+                if (state.status === "loading") {
+                    this.setState({loading: true, error: null});
+                } else if (state.status === "done") {
+                    this.setData(state.result);
+                } else {
+                    this.setState({loading: false, error: `Could not load ${state.request.comp_name}: ${state.error.message}`});
+                }
+            }),
+            transport.onRequest("display_spec", (state) => {
+                // requests for other items, such as restored panels, say nothing
+                // about the selected one
+                if (sameItem(state.request, this.state.selected)) {
+                    this.setState({
+                        selectedError: state.status === "error" ? state.error.message : null,
+                    });
+                }
+            }),
+            transport.onRequest("item_index", (state) => {
+                if (state.status === "done") {
+                    this.setState({index: state.result, loading: false});
+                } else {
+                    this.setState({
+                        loading: state.status === "loading",
+                        error: state.status === "error" ? `Could not search all components: ${state.error.message}` : null,
+                    });
+                }
+            }),
+            getSession().onRestore((session) => {
+                this.setState({selected: session.item, selectedError: null});
+                // the workspace displays the panels, or this item if it has none;
+                // the simulation options of the session are on their way down
+                // from App, so are used here already
+                if (session.item && !session.panels.length) {
+                    this.display(session.item, this.props.simulation ? {...this.props.requestOptions, ...session.options} : this.props.requestOptions);
+                }
+            }),
+            getSession().onNavigate((session) => {
+                if (session.item && !sameItem(session.item, this.state.selected)) {
+                    this.setState({selected: session.item, selectedError: null});
+                    this.display(session.item);
+                }
+            }),
+        ];
     }
 
-    renderNode = (nodeState: DataNodeState) => {
-        return (<button className = "data" onClick={(event) => {
+    componentDidUpdate(prevProps: DataViewProps, prevState: DataViewState) {
+        if (prevProps.requestOptions !== this.props.requestOptions && this.state.selected &&
+            !(this.displayed && sameOptions(this.displayed, this.props.requestOptions))) {
+            this.display(this.state.selected);
+        }
+        const state = this.state;
+        if (state.query !== prevState.query || state.allComponents !== prevState.allComponents ||
+            state.index !== prevState.index || state.nodes !== prevState.nodes ||
+            state.kind !== prevState.kind || state.dims !== prevState.dims || state.differing !== prevState.differing) {
+            const nodes = this.filtered();
+            const matches = state.query.trim() ? nodes.vars.concat(nodes.pars) : [];
+            this.props.onSearchResults(Array.from(new Set(matches.map((n) => n.comp_name))));
+        }
+    }
+
+    componentWillUnmount() {
+        this.unsubscribe.forEach((unsubscribe) => unsubscribe());
+    }
+
+    setData = (nodeInfo:DataNodeList) => {
+        this.setState({nodes: nodeInfo, loading: false, error: null});
+    }
+
+    setAllComponents = (allComponents: boolean) => {
+        this.setState({allComponents: allComponents});
+        if (allComponents && !this.state.index) {
+            getTransport().send({cmd: 'item_index'});
+        }
+    }
+
+    // The nodes to list, after applying the search box and filters
+    filtered = (): DataNodeList => {
+        const { query, kind, dims, allComponents, differing, index } = this.state;
+        const nodes = allComponents && index ? index : this.state.nodes;
+        const filter = (list: DataNode[]) => filterNodes(differing ? list.filter((n) => n.differs) : list, query, dims);
+        return {
+            vars: kind === "pars" || !nodes.vars ? [] : filter(nodes.vars),
+            pars: kind === "vars" || !nodes.pars ? [] : filter(nodes.pars),
+        };
+    }
+
+    // the options the selected item was last displayed with
+    displayed: SimulationOptions | null = null;
+
+    display = (nodeState: ItemRef, options: SimulationOptions = this.props.requestOptions) => {
+        this.displayed = options;
+        getTransport().send({
+            cmd: 'display_spec',
+            comp_name: nodeState.comp_name,
+            item_name: nodeState.item_name,
+            ...options
+        })
+    }
+
+    renderBadges = (nodeState: DataNode) => {
+        return (
+            <span className="badges">
+                {nodeState.dims ? <span className="badge">{nodeState.dims.length ? nodeState.dims.join(" × ") : "scalar"}</span> : null}
+                {nodeState.unit ? <span className="badge unit">{nodeState.unit}</span> : null}
+                {nodeState.differs ? <span className="badge differs" title="Differs between runs">differs</span> : null}
+                {nodeState.runs && nodeState.runs.length < this.props.runs.length ? (
+                    <span className="badge runs">{nodeState.runs.join(", ")} only</span>
+                ) : null}
+            </span>
+        );
+    }
+
+    renderNode = (nodeState: DataNode) => {
+        const selected = sameItem(this.state.selected, nodeState);
+        const className = "data" + (selected && this.state.selectedError ? " error" : "");
+        return (<button key={`${nodeState.comp_name}.${nodeState.item_name}`} className = {className} title={selected && this.state.selectedError ? this.state.selectedError : undefined} onClick={(event) => {
             event.preventDefault();
-            global["sendMessageToJulia"]({
-                cmd: 'display_spec',
-                comp_name: nodeState.comp_name,
-                item_name: nodeState.item_name
-            })
-        }}>{nodeState.name}</button >);
+            const item = {comp_name: nodeState.comp_name, item_name: nodeState.item_name};
+            this.setState({selected: item, selectedError: null});
+            getSession().update({item: item});
+            this.display(item);
+        }}><span>{nodeState.name}</span>{this.renderBadges(nodeState)}</button >);
+    }
+
+    renderFilters = () => {
+        return (
+            <div className="DataFilters">
+                <input type="search" placeholder="Search" value={this.state.query}
+                    onChange={(event) => this.setState({query: event.target.value})} />
+                {this.props.simulation ? null : (
+                    <select value={this.state.kind} onChange={(event) => this.setState({kind: event.target.value as ItemKind})}>
+                        <option value="all">Vars &amp; pars</option>
+                        <option value="vars">Variables</option>
+                        <option value="pars">Parameters</option>
+                    </select>
+                )}
+                <select value={this.state.dims} onChange={(event) => this.setState({dims: event.target.value as Dimensionality})}>
+                    {Object.keys(dimensionalityLabels).map((d) => <option key={d} value={d}>{dimensionalityLabels[d]}</option>)}
+                </select>
+                {this.props.simulation ? null : (
+                    <label>
+                        <input type="checkbox" checked={this.state.allComponents}
+                            onChange={(event) => this.setAllComponents(event.target.checked)} />
+                        All components
+                    </label>
+                )}
+                {this.props.runs.length > 1 ? (
+                    <label>
+                        <input type="checkbox" checked={this.state.differing}
+                            onChange={(event) => this.setState({differing: event.target.checked})} />
+                        Differing only
+                    </label>
+                ) : null}
+            </div>
+        );
     }
 
     render = () => {
+        const nodes = this.filtered();
         const renderVal = (
         <div className="ExplorerDataView">
-            <h4>{this.state.name}</h4>
-            <h6>Variables</h6>
-            <ul>
-                {this.state.nodes && this.state.nodes.vars ? this.state.nodes.vars.map((n) => this.renderNode(n)) : null}
-            </ul>
-            <h6>Parameters</h6>
-            <ul>
-                {this.state.nodes && this.state.nodes.pars ? this.state.nodes.pars.map((n) => this.renderNode(n)) : null}
-            </ul>
+            <h4>{this.props.name}</h4>
+            {this.renderFilters()}
+            {this.state.loading ? <p className="status">Loading...</p> : null}
+            {this.state.error ? <p className="status error">{this.state.error}</p> : null}
+            {this.props.simulation ? (
+                <ul>{nodes.vars.map((n) => this.renderNode(n))}</ul>
+            ) : null}
+            {!this.props.simulation && this.state.kind !== "pars" ? <h6>Variables</h6> : null}
+            {!this.props.simulation && this.state.kind !== "pars" ? <ul>{nodes.vars.map((n) => this.renderNode(n))}</ul> : null}
+            {!this.props.simulation && this.state.kind !== "vars" ? <h6>Parameters</h6> : null}
+            {!this.props.simulation && this.state.kind !== "vars" ? <ul>{nodes.pars.map((n) => this.renderNode(n))}</ul> : null}
         </div>
         );
         return renderVal;
     };
-}
\ No newline at end of file
+}
@@ -1,41 +1,119 @@
 import React from 'react';
 import { TreeView, TreeItem } from '@material-ui/lab';
 import { ExpandMore, ChevronRight } from "@material-ui/icons";
+import { getTransport } from './transport';
+import { TreeNode } from './protocol';
+import { getSession } from './session';
 
 export interface TreeViewProps {
-    name: string
+    name: string,
+    highlighted: string[],
+    // the runs being compared, if any
+    runs: string[],
 }
 
-type TreeNodeState = {
+type TreeViewState = {
     name: string,
-    children: Array<TreeNodeState>
+    children: Array<TreeNode>,
+    expanded: string[],
+    selected: string | null,
+    loading: string | null,
+    error: string | null,
 }
   
-export default class ExplorerTreeView extends React.Component<TreeViewProps, TreeNodeState> {
+export default class ExplorerTreeView extends React.Component<TreeViewProps, TreeViewState> {
 
     static defaultProps = {
         name: "",
+        highlighted: [],
+        runs: [],
     }
 
     constructor(props: TreeViewProps) {
         super(props);
         this.state ={
             name: props.name,
-            children: new Array<TreeNodeState>()
+            children: new Array<TreeNode>(),
+            expanded: [],
+            selected: null,
+            loading: null,
+            error: null,
         }
-        global["setTreeChildren"] = this.setTreeChildren;
     }
 
-    setTreeChildren = (childrenInfo:Array<TreeNodeState>) => {
+    unsubscribe: Array<() => void> = [];
+
+    componentDidMount() {
+        const transport = getTransport();
+        this.unsubscribe = [
+            transport.on("setTreeChildren", this.setTreeChildren),
+            transport.onRequest("update_data", (state) => {
+                this.setState({
+                    loading: state.status === "loading" ? state.request.comp_name : null,
+                    error: state.status === "error" ? `${state.request.comp_name}: ${state.error.message}` : null,
+                });
+            }),
+            transport.onRequest("hello", (state) => {
+                if (state.status === "error") {
+                    this.setState({error: state.error.message});
+                }
+            }),
+            getSession().onRestore((session) => {
+                this.setState({expanded: session.expanded});
+                if (session.component) {
+                    this.select(session.component);
+                }
+            }),
+            getSession().onNavigate((session) => {
+                if (session.component && session.component !== this.state.selected) {
+                    this.select(session.component);
+                }
+            }),
+        ];
+    }
+
+    componentWillUnmount() {
+        this.unsubscribe.forEach((unsubscribe) => unsubscribe());
+    }
+
+    setTreeChildren = (childrenInfo:Array<TreeNode>) => {
         this.setState({children: childrenInfo});
     }
 
-    renderTree = (node:TreeNodeState) => {
+    select = (comp_name: string) => {
+        this.setState({selected: comp_name});
+        getSession().update({component: comp_name});
+        getTransport().send({cmd: 'update_data', comp_name: comp_name});
+    }
+
+    onNodeToggle = (event: React.ChangeEvent<{}>, nodeIds: string[]) => {
+        this.setState({expanded: nodeIds});
+        getSession().update({expanded: nodeIds});
+    }
+
+    // Whether `node` or any of its subcomponents is among the search results
+    hasHighlight = (node:TreeNode): boolean => {
+        return this.props.highlighted.indexOf(node.name) !== -1 ||
+            (!!node.children && node.children.some(this.hasHighlight));
+    }
+
+    renderTree = (node:TreeNode) => {
+        const text = this.state.loading === node.name ? `${node.name} (loading...)` : node.name;
+        const className = this.props.highlighted.indexOf(node.name) !== -1 ? "highlighted" :
+            this.hasHighlight(node) ? "contains-highlighted" : undefined;
+        // components that only some of the compared runs have
+        const runs = node.runs && node.runs.length < this.props.runs.length ? node.runs : null;
+        const label = (
+            <span className={className}>
+                {text}
+                {runs ? <span className="runs">{runs.join(", ")} only</span> : null}
+            </span>
+        );
         return (
-            <div>
-                <TreeItem key={node.name} nodeId={node.name} label={node.name} onLabelClick= {(event)=> {
+            <div key={node.name}>
+                <TreeItem nodeId={node.name} label={label} onLabelClick= {(event)=> {
                     event.preventDefault();
-                    global["sendMessageToJulia"]({cmd: 'update_data', comp_name: node.name})
+                    this.select(node.name);
                 }}>
                     {node.children ? node.children.map((n) => this.renderTree(n)) : null}
                 </TreeItem>
@@ -46,10 +124,13 @@ export default class ExplorerTreeView extends React.Component<TreeViewProps, Tre
     render = () => {
         const renderVal = (<div className="ExplorerTreeView">
             <h4>{this.state.name}</h4>
+            {this.state.error ? <p className="status error">{this.state.error}</p> : null}
             <TreeView
                 className={"classes.root"}
                 defaultCollapseIcon={<ExpandMore />}
-                defaultExpanded={["root"]}
+                expanded={this.state.expanded}
+                onNodeToggle={this.onNodeToggle}
+                selected={this.state.selected || ""}
                 defaultExpandIcon={<ChevronRight />}
             >
                 {this.state.children ? this.state.children.map((n) => this.renderTree(n)) : null}
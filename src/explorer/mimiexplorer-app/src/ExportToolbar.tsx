@@ -0,0 +1,94 @@
+import React from 'react';
+import { View } from 'vega';
+import { Spec } from './protocol';
+import {
+    ImageFormat, copyText, download, downloadText, fileBaseName, imageURL, specRows, toCSV
+} from './exportChart';
+
+export interface ExportToolbarProps {
+    spec: Spec,
+    view: View | null,
+}
+
+type ExportToolbarState = {
+    scale: number,
+    width: string,
+    height: string,
+    message: string | null,
+    error: boolean,
+}
+
+// Downloads for the displayed chart: its data as CSV or JSON, the image as
+// PNG or SVG, and the Vega-Lite spec itself. Everything happens here in the
+// frontend, from the spec the host already sent.
+export default class ExportToolbar extends React.Component<ExportToolbarProps, ExportToolbarState> {
+
+    constructor(props: ExportToolbarProps) {
+        super(props);
+        this.state = {
+            scale: 1,
+            width: "",
+            height: "",
+            message: null,
+            error: false,
+        }
+    }
+
+    report = (message: string | null, error: boolean = false) => {
+        this.setState({message: message, error: error});
+    }
+
+    exportData = (format: "csv" | "json") => {
+        const rows = specRows(this.props.spec.VLspec);
+        const name = `${fileBaseName(this.props.spec)}.${format}`;
+        if (format === "csv") {
+            downloadText(name, toCSV(rows), "text/csv");
+        } else {
+            downloadText(name, JSON.stringify(rows, null, 2), "application/json");
+        }
+        this.report(null);
+    }
+
+    exportImage = (format: ImageFormat) => {
+        const width = parseInt(this.state.width, 10) || undefined;
+        const height = parseInt(this.state.height, 10) || undefined;
+        imageURL(this.props.spec.VLspec, this.props.view, format, this.state.scale, width, height).then((url) => {
+            download(`${fileBaseName(this.props.spec)}.${format}`, url);
+            this.report(null);
+        }).catch((error) => this.report(`Could not export ${format.toUpperCase()}: ${error.message}`, true));
+    }
+
+    copySpec = () => {
+        copyText(JSON.stringify(this.props.spec.VLspec, null, 2))
+            .then(() => this.report("Vega-Lite spec copied"))
+            .catch((error) => this.report(error.message, true));
+    }
+
+    render = () => {
+        const hasData = specRows(this.props.spec.VLspec).length > 0;
+        return (
+            <div className="ExportToolbar">
+                <button disabled={!hasData} onClick={() => this.exportData("csv")}>CSV</button>
+                <button disabled={!hasData} onClick={() => this.exportData("json")}>JSON</button>
+                <button onClick={() => this.exportImage("png")}>PNG</button>
+                <button onClick={() => this.exportImage("svg")}>SVG</button>
+                <label title="Size of the main plot in the image, leave empty for the size shown">
+                    Size
+                    <input type="number" min={50} placeholder="width" value={this.state.width}
+                        onChange={(event) => this.setState({width: event.target.value})} />
+                    &times;
+                    <input type="number" min={50} placeholder="height" value={this.state.height}
+                        onChange={(event) => this.setState({height: event.target.value})} />
+                </label>
+                <label title="Resolution of the PNG image">
+                    Scale
+                    <select value={this.state.scale} onChange={(event) => this.setState({scale: Number(event.target.value)})}>
+                        {[1, 2, 3, 4].map((s) => <option key={s} value={s}>{s}x</option>)}
+                    </select>
+                </label>
+                <button onClick={this.copySpec}>Copy Vega-Lite spec</button>
+                {this.state.message ? <span className={"status" + (this.state.error ? " error" : "")}>{this.state.message}</span> : null}
+            </div>
+        );
+    };
+}
@@ -0,0 +1,133 @@
+import React from 'react';
+import embed, { Result } from 'vega-embed';
+import { Spec } from './protocol';
+import { timeScaleName, plotArea, yearAt, yearPosition } from './timeCursor';
+import ExportToolbar from './ExportToolbar';
+
+export interface PlotPanelProps {
+    spec: Spec | null,
+    cursor: number | null,
+    onCursor: (year: number | null) => void,
+    // vega could not render the spec
+    onError: (message: string) => void,
+}
+
+// Renders one spec with vega-embed, and the shared time cursor on top of it
+// when the spec plots over time.
+export default class PlotPanel extends React.Component<PlotPanelProps> {
+
+    static defaultProps = {
+        cursor: null,
+        onCursor: () => {},
+        onError: () => {},
+    }
+
+    wrapper = React.createRef<HTMLDivElement>();
+    container = React.createRef<HTMLDivElement>();
+    result: Result | null = null;
+    scaleName: string | null = null;
+
+    componentDidMount() {
+        this.embed();
+    }
+
+    componentDidUpdate(prevProps: PlotPanelProps) {
+        if (prevProps.spec !== this.props.spec) {
+            this.embed();
+        }
+    }
+
+    componentWillUnmount() {
+        this.finalize();
+    }
+
+    finalize = () => {
+        if (this.result) {
+            this.result.finalize();
+            this.result = null;
+        }
+        this.scaleName = null;
+    }
+
+    embed = () => {
+        this.finalize();
+        const spec = this.props.spec;
+        if (!this.container.current || !spec || spec.type === "singlevalue") {
+            return;
+        }
+        embed(this.container.current, spec.VLspec, {actions: false}).then((result) => {
+            if (this.props.spec !== spec) {
+                // a newer spec came in while this one was rendering
+                result.finalize();
+                return;
+            }
+            this.result = result;
+            this.scaleName = timeScaleName(spec.VLspec);
+            this.forceUpdate();
+        }).catch((error: Error) => {
+            if (this.props.spec === spec) {
+                this.props.onError(error.message);
+            }
+        });
+    }
+
+    // The rendered canvas (or svg), in coordinates relative to the wrapper
+    chartOffset = () => {
+        const wrapper = this.wrapper.current;
+        const chart = this.container.current && this.container.current.querySelector("canvas, svg");
+        if (!wrapper || !chart) {
+            return null;
+        }
+        const outer = wrapper.getBoundingClientRect();
+        const inner = chart.getBoundingClientRect();
+        return { left: inner.left - outer.left, top: inner.top - outer.top };
+    }
+
+    onMouseMove = (event: React.MouseEvent) => {
+        const offset = this.chartOffset();
+        if (!this.result || !this.scaleName || !offset || !this.wrapper.current) {
+            return;
+        }
+        const view = this.result.view;
+        const px = event.clientX - this.wrapper.current.getBoundingClientRect().left - offset.left - view.origin()[0];
+        this.props.onCursor(yearAt(view, this.scaleName, px));
+    }
+
+    onMouseLeave = () => {
+        if (this.scaleName) {
+            this.props.onCursor(null);
+        }
+    }
+
+    renderCursor = () => {
+        const offset = this.chartOffset();
+        if (this.props.cursor === null || !this.result || !this.scaleName || !offset) {
+            return null;
+        }
+        const view = this.result.view;
+        const x = yearPosition(view, this.scaleName, this.props.cursor);
+        if (x === null) {
+            return null;
+        }
+        const area = plotArea(view, this.scaleName);
+        const style = {
+            left: offset.left + view.origin()[0] + x,
+            top: offset.top + view.origin()[1] + area.y,
+            height: area.height,
+        };
+        return (<div className="TimeCursor" style={style}><span>{this.props.cursor}</span></div>);
+    }
+
+    render = () => {
+        const spec = this.props.spec;
+        const plotted = spec && spec.type !== "singlevalue";
+        return (
+            <div className="PlotPanel" ref={this.wrapper} onMouseMove={this.onMouseMove} onMouseLeave={this.onMouseLeave}>
+                {spec && plotted ? <ExportToolbar spec={spec} view={this.result ? this.result.view : null}></ExportToolbar> : null}
+                {spec && !plotted ? <p className="singlevalue">{spec.name}</p> : null}
+                <div ref={this.container}></div>
+                {this.renderCursor()}
+            </div>
+        );
+    };
+}
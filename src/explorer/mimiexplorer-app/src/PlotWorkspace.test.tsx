@@ -0,0 +1,150 @@
+import React from 'react';
+import { act, fireEvent, render, wait } from '@testing-library/react';
+import PlotWorkspace from './PlotWorkspace';
+import { getTransport } from './transport';
+import { Spec } from './protocol';
+import { tableColumns, tableRows } from './tableData';
+import { MockJulia, mockJulia } from './testHarness';
+import line from './__fixtures__/specs/line.json';
+import multiline from './__fixtures__/specs/multiline.json';
+import bar from './__fixtures__/specs/bar.json';
+import trumpet from './__fixtures__/specs/trumpet.json';
+import histogram from './__fixtures__/specs/histogram.json';
+
+// Plot as svg, which unlike a canvas can be inspected
+jest.mock('vega-embed', () => {
+    const actual = jest.requireActual('vega-embed');
+    return {
+        ...actual,
+        __esModule: true,
+        default: (el: HTMLElement, spec: any, options: any) => actual.default(el, spec, {...options, renderer: "svg"}),
+    };
+});
+
+// Specs of each kind of plot; record-specs.jl records them from buildspecs.jl
+const fixtures: Array<[string, Spec]> = [
+    ["line", line],
+    ["multiline", multiline],
+    ["bar", bar],
+    ["trumpet", trumpet],
+    ["histogram", histogram],
+];
+
+let julia: MockJulia;
+
+beforeEach(() => {
+    julia = mockJulia();
+    // the host still sends Vega-Lite v3 specs, which vega-embed warns about
+    const warn = console.warn;
+    jest.spyOn(console, "warn").mockImplementation((...args) => {
+        if (!/uses Vega-Lite v3/.test(String(args[0]))) {
+            warn(...args);
+        }
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+async function display(spec: Spec) {
+    const result = render(<PlotWorkspace></PlotWorkspace>);
+    await julia.push("display", spec);
+    await wait(() => expect(result.container.querySelector(".PlotPanel svg.marks")).not.toBeNull());
+    return result;
+}
+
+// What the rendered chart is made of, rather than the svg vega draws it with
+function chartSummary(panel: Element) {
+    const texts = (selector: string) => Array.from(panel.querySelectorAll(selector)).map((e) => e.textContent);
+    return {
+        titles: texts(".role-title-text"),
+        axes: texts(".role-axis-title"),
+        marks: Array.from(panel.querySelectorAll("g.role-mark")).map((g) => (g.getAttribute("class") || "").split(" ")[0]),
+        legend: texts(".role-legend-label"),
+    };
+}
+
+describe.each(fixtures)('%s spec', (kind, spec) => {
+    test('is plotted in a new panel', async () => {
+        const { container } = await display(spec);
+        expect(container.querySelector(".PanelTab.active .PanelTitle")).toHaveTextContent(spec.name);
+        expect(chartSummary(container.querySelector(".Panel.active") as Element)).toMatchSnapshot();
+    });
+
+    test('is shown as a table', async () => {
+        const { container, getByText } = await display(spec);
+        fireEvent.click(getByText("Table"));
+        const table = container.querySelector(".Panel.active .DataTable") as Element;
+        const rows = tableRows(spec);
+        expect(Array.from(table.querySelectorAll("th .sort")).map((th) => th.textContent)).toEqual(tableColumns(rows));
+        expect(table.querySelector("p.status")).toHaveTextContent(`${rows.length} rows`);
+    });
+});
+
+test('a displayed spec replaces the plot of the active panel', async () => {
+    const { container } = await display(line);
+    await julia.push("display", bar);
+    expect(container.querySelectorAll(".Panel")).toHaveLength(1);
+    expect(container.querySelector(".PanelTab.active .PanelTitle")).toHaveTextContent(bar.name);
+});
+
+test('a displayed spec goes to a new panel when the active one is pinned', async () => {
+    const { container, getByText } = await display(line);
+    fireEvent.click(getByText("Pin"));
+    await julia.push("display", bar);
+    const titles = Array.from(container.querySelectorAll(".PanelTab .PanelTitle")).map((t) => t.textContent);
+    expect(titles).toEqual([line.name, bar.name]);
+});
+
+describe('answers to display_spec requests', () => {
+    const request = (comp_name: string, item_name: string) => act(() => {
+        getTransport().send({cmd: "display_spec", comp_name: comp_name, item_name: item_name});
+    });
+    const titles = (container: Element) => Array.from(container.querySelectorAll(".PanelTab .PanelTitle")).map((t) => t.textContent);
+
+    test('go to the panel that asked for them', async () => {
+        const { container, getByText } = render(<PlotWorkspace></PlotWorkspace>);
+        request("emissions", "E");
+        expect(container.querySelector(".Panel.active .status")).toHaveTextContent("Loading emissions : E...");
+        fireEvent.click(getByText("Pin"));
+        await julia.push("display", bar);
+        await julia.respond("display_spec", line);
+        expect(titles(container)).toEqual(["emissions : E", bar.name]);
+        expect(container.querySelector(".PanelTab.active .PanelTitle")).toHaveTextContent(bar.name);
+    });
+
+    test('are dropped once their panel is closed', async () => {
+        const { container, getByTitle } = render(<PlotWorkspace></PlotWorkspace>);
+        request("emissions", "E");
+        fireEvent.click(getByTitle("Close"));
+        await julia.fail("display_spec", "Cannot plot E");
+        expect(container.querySelectorAll(".Panel")).toHaveLength(0);
+    });
+
+    test('are dropped once their panel asked for something else', async () => {
+        const { container, getByText } = render(<PlotWorkspace></PlotWorkspace>);
+        request("emissions", "E");
+        const first = julia.last("display_spec");
+        request("climate", "temperature");
+        fireEvent.click(getByText("Pin"));
+        await julia.respond("display_spec", line, first);
+        expect(titles(container)).toEqual(["climate : temperature"]);
+        expect(container.querySelector(".Panel.active .status")).toHaveTextContent("Loading climate : temperature...");
+    });
+});
+
+test('scalars are shown without a plot', async () => {
+    const { container } = render(<PlotWorkspace></PlotWorkspace>);
+    await julia.push("display", {name: "climate : t2xco2 = 3.2", type: "singlevalue", VLspec: {}, data: [{t2xco2: "3.2"}]});
+    expect(container.querySelector(".PlotPanel .singlevalue")).toHaveTextContent("climate : t2xco2 = 3.2");
+    expect(container.querySelector(".PlotPanel svg")).toBeNull();
+});
+
+test('specs vega cannot render are reported in their panel', async () => {
+    const { container } = render(<PlotWorkspace></PlotWorkspace>);
+    await julia.push("display", {name: "climate : broken", VLspec: {mark: "nonsense", data: {values: []}}});
+    await wait(() => expect(container.querySelector(".Panel.active .status.error")).not.toBeNull());
+    expect(container.querySelector(".Panel.active .status.error")).toHaveTextContent(/^Could not display climate : broken: ./);
+    expect(container.querySelector(".PanelViews")).toBeNull();
+});
@@ -0,0 +1,351 @@
+import React from 'react';
+import PlotPanel from './PlotPanel';
+import DataTable from './DataTable';
+import { tableRows } from './tableData';
+import SessionControls from './SessionControls';
+import { getTransport } from './transport';
+import { Request, Spec } from './protocol';
+import { Layout, PanelSession, PanelView, Session, getSession } from './session';
+import { CompareMode, CompareOptions, compareModeLabels, comparisonSpec, defaultCompareOptions, runNames } from './comparison';
+
+export type DisplayRequest = Extract<Request, { cmd: 'display_spec' }>;
+
+export type PanelState = {
+    id: number,
+    title: string,
+    pinned: boolean,
+    view: PanelView,
+    // how to plot comparison specs
+    compare: CompareOptions,
+    // what the panel shows, unless the host sent its spec with a display event
+    request: DisplayRequest | null,
+    spec: Spec | null,
+    message: string | null,
+    error: boolean,
+}
+
+// "comp_name : item_name", followed by the simulation results shown if any
+function panelTitle(request: DisplayRequest) {
+    const details = [
+        request.model_index ? `model ${request.model_index}` : null,
+        request.scen_name,
+        request.trial ? `trial ${request.trial}` : null,
+    ].filter((d) => d);
+    const title = `${request.comp_name} : ${request.item_name}`;
+    return details.length ? `${title} (${details.join(", ")})` : title;
+}
+
+type WorkspaceState = {
+    panels: PanelState[],
+    active: number | null,
+    layout: Layout,
+    cursor: number | null,
+}
+
+// Holds the displayed plots. A newly displayed item replaces the plot in the
+// active panel unless that panel is pinned, in which case it goes to another
+// unpinned panel, or a new one.
+export default class PlotWorkspace extends React.Component<{}, WorkspaceState> {
+
+    nextId = 1;
+
+    constructor(props: {}) {
+        super(props);
+        this.state = {
+            panels: [],
+            active: null,
+            layout: "tabs",
+            cursor: null,
+        }
+    }
+
+    unsubscribe: Array<() => void> = [];
+
+    componentDidMount() {
+        const transport = getTransport();
+        this.unsubscribe = [
+            transport.on("display", (spec) => {
+                this.show({title: spec.name, request: null, spec: spec, message: null, error: false});
+            }),
+            transport.onRequest("display_spec", (state) => {
+                const request = state.request;
+                const title = panelTitle(request);
+                if (state.status === "loading") {
+                    this.show({title: title, request: request, message: `Loading ${title}...`, error: false});
+                } else if (state.status === "done") {
+                    this.answer(request, {spec: state.result, message: null, error: false});
+                } else {
+                    this.answer(request, {spec: null, message: `Could not display ${title}: ${state.error.message}`, error: true});
+                }
+            }),
+            getSession().onRestore(this.restore),
+        ];
+    }
+
+    componentDidUpdate(prevProps: {}, prevState: WorkspaceState) {
+        const state = this.state;
+        if (state.panels !== prevState.panels || state.active !== prevState.active || state.layout !== prevState.layout) {
+            // panels sent with display events cannot be requested again, so are left out
+            const saved = state.panels.filter((p) => p.request);
+            const panels: PanelSession[] = saved.map((p) => {
+                const { cmd, comp_name, item_name, ...options } = p.request as DisplayRequest;
+                return {item: {comp_name, item_name}, options: options, pinned: p.pinned, view: p.view, compare: p.compare};
+            });
+            const active = saved.findIndex((p) => p.id === state.active);
+            getSession().update({layout: state.layout, active: active === -1 ? null : active, panels: panels});
+        }
+    }
+
+    componentWillUnmount() {
+        this.unsubscribe.forEach((unsubscribe) => unsubscribe());
+    }
+
+    // Rebuild the panels of a stored or loaded session, and request their items
+    restore = (session: Session) => {
+        const panels: PanelState[] = session.panels.map((p) => {
+            const request: DisplayRequest = {cmd: 'display_spec', ...p.item, ...p.options};
+            return {
+                id: this.nextId++, title: panelTitle(request), pinned: p.pinned, view: p.view,
+                compare: p.compare || defaultCompareOptions, request: request, spec: null, message: null, error: false,
+            };
+        });
+        const active = session.active !== null && panels[session.active] ? panels[session.active] : panels[0];
+        this.setState({panels: panels, active: active ? active.id : null, layout: session.layout});
+        panels.forEach((p) => getTransport().send(p.request as DisplayRequest));
+    }
+
+    // Requests and display events go to the panel that made the request, if
+    // any, or else replace what the active unpinned panel shows
+    show = (update: Partial<PanelState>) => {
+        this.setState((state) => {
+            const requester = update.request ? state.panels.find((p) => p.request === update.request) : undefined;
+            if (requester) {
+                return {
+                    ...state,
+                    panels: state.panels.map((p) => p === requester ? {...p, ...update} : p),
+                };
+            }
+            const active = state.panels.find((p) => p.id === state.active);
+            const target = active && !active.pinned ? active : state.panels.find((p) => !p.pinned);
+            if (target) {
+                return {
+                    ...state,
+                    panels: state.panels.map((p) => p === target ? {...p, ...update} : p),
+                    active: target.id,
+                };
+            }
+            const panel: PanelState = {
+                id: this.nextId++, title: "", pinned: false, view: "plot", compare: defaultCompareOptions,
+                request: null, spec: null, message: null, error: false, ...update,
+            };
+            return {...state, panels: state.panels.concat(panel), active: panel.id};
+        });
+    }
+
+    // Results only go to the panel waiting for them: those for a closed panel,
+    // or one that has asked for something else since, are dropped
+    answer = (request: DisplayRequest, update: Partial<PanelState>) => {
+        this.setState((state) => {
+            if (!state.panels.some((p) => p.request === request)) {
+                return null;
+            }
+            return {panels: state.panels.map((p) => p.request === request ? {...p, ...update} : p)};
+        });
+    }
+
+    // Shown like a failed display_spec request
+    plotFailed = (id: number, message: string) => {
+        this.setState((state) => ({
+            panels: state.panels.map((p) => p.id === id ? {...p, message: `Could not display ${p.title}: ${message}`, error: true} : p),
+        }));
+    }
+
+    togglePin = (id: number) => {
+        this.setState((state) => ({
+            panels: state.panels.map((p) => p.id === id ? {...p, pinned: !p.pinned} : p),
+        }));
+    }
+
+    setView = (id: number, view: PanelView) => {
+        this.setState((state) => ({
+            panels: state.panels.map((p) => p.id === id ? {...p, view: view} : p),
+        }));
+    }
+
+    setCompare = (id: number, compare: Partial<CompareOptions>) => {
+        this.setState((state) => ({
+            panels: state.panels.map((p) => p.id === id ? {...p, compare: {...p.compare, ...compare}} : p),
+        }));
+    }
+
+    close = (id: number) => {
+        this.compared.delete(id);
+        this.setState((state) => {
+            const index = state.panels.findIndex((p) => p.id === id);
+            const panels = state.panels.filter((p) => p.id !== id);
+            let active = state.active;
+            if (active === id) {
+                const next = panels[Math.min(index, panels.length - 1)];
+                active = next ? next.id : null;
+            }
+            return {panels: panels, active: active};
+        });
+    }
+
+    // Move panel `id` to where panel `targetId` is
+    move = (id: number, targetId: number) => {
+        this.setState((state) => {
+            const panel = state.panels.find((p) => p.id === id);
+            const panels = state.panels.filter((p) => p.id !== id);
+            const index = panels.findIndex((p) => p.id === targetId);
+            if (!panel || index === -1) {
+                return null;
+            }
+            panels.splice(index, 0, panel);
+            return {panels: panels};
+        });
+    }
+
+    // drag and drop handlers shared by tabs and panel headers
+    dragHandlers = (id: number) => ({
+        draggable: true,
+        onDragStart: (event: React.DragEvent) => {
+            event.dataTransfer.setData("text/plain", String(id));
+        },
+        onDragOver: (event: React.DragEvent) => {
+            event.preventDefault();
+        },
+        onDrop: (event: React.DragEvent) => {
+            event.preventDefault();
+            this.move(Number(event.dataTransfer.getData("text/plain")), id);
+        },
+    })
+
+    setCursor = (year: number | null) => {
+        if (year !== this.state.cursor) {
+            this.setState({cursor: year});
+        }
+    }
+
+    renderControls = (panel: PanelState) => {
+        return (
+            <span className="PanelControls">
+                <button className={panel.pinned ? "pinned" : ""} title={panel.pinned ? "Unpin" : "Pin"} onClick={(event) => {
+                    event.stopPropagation();
+                    this.togglePin(panel.id);
+                }}>{panel.pinned ? "Unpin" : "Pin"}</button>
+                <button title="Close" onClick={(event) => {
+                    event.stopPropagation();
+                    this.close(panel.id);
+                }}>&times;</button>
+            </span>
+        );
+    }
+
+    renderTab = (panel: PanelState) => {
+        const className = "PanelTab" + (panel.id === this.state.active ? " active" : "");
+        return (
+            <div key={panel.id} className={className} onClick={() => this.setState({active: panel.id})} {...this.dragHandlers(panel.id)}>
+                <span className="PanelTitle">{panel.title}</span>
+                {this.renderControls(panel)}
+            </div>
+        );
+    }
+
+    // comparison specs plotted for each panel, so that they are only rebuilt
+    // when the spec or the panel's compare options change
+    compared = new Map<number, { source: Spec, compare: CompareOptions, spec: Spec }>();
+
+    panelSpec = (panel: PanelState): Spec | null => {
+        const source = panel.message ? null : panel.spec;
+        if (!source || source.type !== "comparison") {
+            return source;
+        }
+        const cached = this.compared.get(panel.id);
+        if (cached && cached.source === source && cached.compare === panel.compare) {
+            return cached.spec;
+        }
+        const spec = comparisonSpec(source, panel.compare);
+        this.compared.set(panel.id, {source: source, compare: panel.compare, spec: spec});
+        return spec;
+    }
+
+    renderCompare = (panel: PanelState, runs: string[]) => {
+        const compare = panel.compare;
+        const baseline = compare.baseline !== null && runs.indexOf(compare.baseline) !== -1 ? compare.baseline : runs[0];
+        return (
+            <span className="CompareControls">
+                {(Object.keys(compareModeLabels) as CompareMode[]).map((mode) => (
+                    <button key={mode} className={compare.mode === mode ? "selected" : ""}
+                        onClick={() => this.setCompare(panel.id, {mode: mode})}>{compareModeLabels[mode]}</button>
+                ))}
+                {compare.mode === "overlay" ? null : (
+                    <label>
+                        from
+                        <select value={baseline} onChange={(event) => this.setCompare(panel.id, {baseline: event.target.value})}>
+                            {runs.map((run) => <option key={run} value={run}>{run}</option>)}
+                        </select>
+                    </label>
+                )}
+            </span>
+        );
+    }
+
+    // The plot stays mounted while the table shows, to keep its view
+    renderContent = (panel: PanelState) => {
+        const spec = this.panelSpec(panel);
+        const table = panel.view === "table";
+        const runs = panel.spec && panel.spec.type === "comparison" ? runNames(panel.spec) : [];
+        return (
+            <React.Fragment>
+                {spec ? (
+                    <div className="PanelViews">
+                        <button className={table ? "" : "selected"} onClick={() => this.setView(panel.id, "plot")}>Plot</button>
+                        <button className={table ? "selected" : ""} onClick={() => this.setView(panel.id, "table")}>Table</button>
+                        {runs.length > 1 ? this.renderCompare(panel, runs) : null}
+                    </div>
+                ) : null}
+                <div className={table && spec ? "hidden" : ""}>
+                    <PlotPanel spec={spec} cursor={this.state.cursor} onCursor={this.setCursor}
+                        onError={(message) => this.plotFailed(panel.id, message)}></PlotPanel>
+                </div>
+                {table && spec ? <DataTable rows={tableRows(spec)}></DataTable> : null}
+            </React.Fragment>
+        );
+    }
+
+    renderPanel = (panel: PanelState) => {
+        const tabs = this.state.layout === "tabs";
+        const active = panel.id === this.state.active;
+        const className = "Panel" + (active ? " active" : "") + (tabs && !active ? " hidden" : "");
+        return (
+            <div key={panel.id} className={className} onClick={() => this.setState({active: panel.id})}>
+                {tabs ? null : (
+                    <div className="PanelHeader" {...this.dragHandlers(panel.id)}>
+                        <span className="PanelTitle">{panel.title}</span>
+                        {this.renderControls(panel)}
+                    </div>
+                )}
+                {panel.message ? <p className={"status" + (panel.error ? " error" : "")}>{panel.message}</p> : null}
+                {this.renderContent(panel)}
+            </div>
+        );
+    }
+
+    render = () => {
+        const layout = this.state.layout;
+        return (
+            <div className={"graphic PlotWorkspace " + layout}>
+                <div className="WorkspaceToolbar">
+                    <button className={layout === "tabs" ? "selected" : ""} onClick={() => this.setState({layout: "tabs"})}>Tabs</button>
+                    <button className={layout === "grid" ? "selected" : ""} onClick={() => this.setState({layout: "grid"})}>Grid</button>
+                    <SessionControls></SessionControls>
+                </div>
+                {layout === "tabs" ? <div className="PanelTabs">{this.state.panels.map(this.renderTab)}</div> : null}
+                <div className="Panels">
+                    {this.state.panels.map(this.renderPanel)}
+                </div>
+            </div>
+        );
+    };
+}
@@ -0,0 +1,64 @@
+import React from 'react';
+import { downloadText } from './exportChart';
+import { getSession, parseSession } from './session';
+
+type SessionControlsState = {
+    error: string | null,
+}
+
+// Saves the current session to a JSON file, and loads one saved earlier for
+// the same model to rebuild its views.
+export default class SessionControls extends React.Component<{}, SessionControlsState> {
+
+    constructor(props: {}) {
+        super(props);
+        this.state = {
+            error: null,
+        }
+    }
+
+    input = React.createRef<HTMLInputElement>();
+
+    save = () => {
+        const session = getSession().current();
+        const name = (session.model || "explorer").replace(/[^\w.-]+/g, "_").slice(0, 60);
+        downloadText(`${name}.session.json`, JSON.stringify(session, null, 2), "application/json");
+        this.setState({error: null});
+    }
+
+    load = (file: File) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const session = parseSession(String(reader.result));
+                const model = getSession().current().model;
+                if (session.model && model && session.model !== model) {
+                    throw new Error("This session was saved for another model.");
+                }
+                getSession().restore({...session, model: model});
+                this.setState({error: null});
+            } catch (error) {
+                this.setState({error: `Could not load ${file.name}: ${(error as Error).message}`});
+            }
+        };
+        reader.onerror = () => this.setState({error: `Could not read ${file.name}`});
+        reader.readAsText(file);
+    }
+
+    render = () => {
+        return (
+            <span className="SessionControls">
+                <button onClick={this.save}>Save session</button>
+                <button onClick={() => this.input.current && this.input.current.click()}>Load session</button>
+                <input type="file" accept=".json,application/json" ref={this.input} onChange={(event) => {
+                    const file = event.target.files && event.target.files[0];
+                    if (file) {
+                        this.load(file);
+                    }
+                    event.target.value = "";
+                }} />
+                {this.state.error ? <span className="status error">{this.state.error}</span> : null}
+            </span>
+        );
+    };
+}
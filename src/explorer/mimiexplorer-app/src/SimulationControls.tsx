@@ -0,0 +1,58 @@
+import React, { useEffect, useState } from 'react';
+import { SimulationInfo, SimulationOptions } from './protocol';
+
+export interface SimulationControlsProps {
+    info: SimulationInfo,
+    options: SimulationOptions,
+    onChange: (options: SimulationOptions) => void,
+}
+
+// Switchers for which model, scenario and trial of a simulation to display
+export default function SimulationControls(props: SimulationControlsProps) {
+    const { info, options, onChange } = props;
+    const models = Array.from({length: info.models}, (_, i) => i + 1);
+    // the trial being typed, only applied on Enter or when leaving the field
+    const [trial, setTrial] = useState(options.trial ? String(options.trial) : "");
+    useEffect(() => setTrial(options.trial ? String(options.trial) : ""), [options.trial]);
+    const commitTrial = () => {
+        const value = parseInt(trial, 10);
+        const chosen = value >= 1 && value <= info.trials ? value : null;
+        setTrial(chosen ? String(chosen) : "");
+        if (chosen !== (options.trial || null)) {
+            onChange({...options, trial: chosen});
+        }
+    };
+    return (
+        <div className="SimulationControls">
+            <h4>Simulation</h4>
+            {info.models > 1 ? (
+                <label>Model
+                    <select value={options.model_index || 1}
+                        onChange={(event) => onChange({...options, model_index: Number(event.target.value)})}>
+                        {models.map((i) => <option key={i} value={i}>{i}</option>)}
+                    </select>
+                </label>
+            ) : null}
+            {info.scenarios.length > 0 ? (
+                <label>Scenario
+                    <select value={options.scen_name || ""}
+                        onChange={(event) => onChange({...options, scen_name: event.target.value || null})}>
+                        <option value="">All</option>
+                        {info.scenarios.map((s) => <option key={s} value={s}>{s}</option>)}
+                    </select>
+                </label>
+            ) : null}
+            <label>Trial
+                <input type="number" min={1} max={info.trials} placeholder={`all ${info.trials}`}
+                    value={trial}
+                    onChange={(event) => setTrial(event.target.value)}
+                    onBlur={commitTrial}
+                    onKeyDown={(event) => {
+                        if (event.key === "Enter") {
+                            commitTrial();
+                        }
+                    }} />
+            </label>
+        </div>
+    );
+}
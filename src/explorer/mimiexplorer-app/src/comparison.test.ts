@@ -0,0 +1,109 @@
+import { Spec } from './protocol';
+import { comparisonSpec, differenceRows, runNames, runRows } from './comparison';
+
+const lineSpec = (values: object[]): Spec => ({name: "emissions : E", VLspec: {data: {values: values}}});
+
+const comparison: Spec = {
+    name: "emissions : E",
+    type: "comparison",
+    VLspec: {},
+    item_name: "E",
+    runs: [
+        {run: "baseline", spec: lineSpec([{time: "2000-01-01", E: "10"}, {time: "2010-01-01", E: "0"}])},
+        {run: "policy", spec: lineSpec([{time: "2000-01-01", E: "8"}, {time: "2010-01-01", E: "1"}, {time: "2020-01-01", E: "2"}])},
+        {run: "tax", spec: lineSpec([{time: "2000-01-01", E: "5"}])},
+    ],
+};
+
+test('runRows tags the rows of each run', () => {
+    expect(runNames(comparison)).toEqual(["baseline", "policy", "tax"]);
+    expect(runRows(comparison).slice(0, 3)).toEqual([
+        {run: "baseline", time: "2000-01-01", E: "10"},
+        {run: "baseline", time: "2010-01-01", E: "0"},
+        {run: "policy", time: "2000-01-01", E: "8"},
+    ]);
+});
+
+describe('differenceRows', () => {
+    const rows = runRows(comparison);
+
+    test('subtracts the baseline row with the same keys', () => {
+        expect(differenceRows(rows, "E", "baseline", false)).toEqual([
+            {run: "policy", time: "2000-01-01", E: "-2"},
+            {run: "policy", time: "2010-01-01", E: "1"},
+            {run: "tax", time: "2000-01-01", E: "-5"},
+        ]);
+    });
+
+    test('leaves out rows the baseline does not have', () => {
+        const times = differenceRows(rows, "E", "baseline", false).map((r) => r.time);
+        expect(times).not.toContain("2020-01-01");
+    });
+
+    test('takes any run as the baseline', () => {
+        expect(differenceRows(rows, "E", "tax", false)).toEqual([
+            {run: "baseline", time: "2000-01-01", E: "5"},
+            {run: "policy", time: "2000-01-01", E: "3"},
+        ]);
+    });
+
+    test('gives percentages of the baseline, leaving out those of zero', () => {
+        expect(differenceRows(rows, "E", "baseline", true)).toEqual([
+            {run: "policy", time: "2000-01-01", E: "-20"},
+            {run: "tax", time: "2000-01-01", E: "-50"},
+        ]);
+    });
+
+    test('skips values that are not numbers', () => {
+        const text = [{run: "a", x: "1", v: "n/a"}, {run: "b", x: "1", v: "2"}];
+        expect(differenceRows(text, "v", "a", false)).toEqual([]);
+    });
+});
+
+describe('comparisonSpec', () => {
+    const runsOf = (item_name: string, spec: Spec): Spec => ({
+        name: `c : ${item_name}`, type: "comparison", VLspec: {}, item_name: item_name,
+        runs: [{run: "a", spec: spec}, {run: "b", spec: spec}],
+    });
+
+    test('overlays the runs as lines over time', () => {
+        const spec = comparisonSpec(comparison, {mode: "overlay", baseline: null});
+        expect(spec.type).toBe("overlay");
+        expect(spec.VLspec.data.values).toHaveLength(6);
+        expect(spec.VLspec.mark).toEqual({type: "line", point: true});
+        expect(spec.VLspec.encoding.color.field).toBe("run");
+    });
+
+    test('plots differences from the chosen baseline', () => {
+        const spec = comparisonSpec(comparison, {mode: "percent", baseline: "policy"});
+        expect(spec.name).toBe("emissions : E, % difference from policy");
+        expect(spec.VLspec.encoding.y.title).toBe("E (% change from policy)");
+        expect(spec.VLspec.data.values.map((r: any) => r.run)).toEqual(["baseline", "baseline", "tax"]);
+    });
+
+    test('falls back to the first run for an unknown baseline', () => {
+        expect(comparisonSpec(comparison, {mode: "difference", baseline: "gone"}).name).toBe("emissions : E, difference from baseline");
+    });
+
+    test('draws scalars as a bar per run', () => {
+        const scalar = runsOf("t2xco2", {name: "", type: "singlevalue", VLspec: {}, data: [{t2xco2: "3"}]});
+        const spec = comparisonSpec(scalar, {mode: "overlay", baseline: null});
+        expect(spec.VLspec.mark).toBe("bar");
+        expect(spec.VLspec.encoding.x.field).toBe("run");
+    });
+
+    test('facets by a second dimension', () => {
+        const regions = runsOf("EIND", lineSpec([{time: "2000-01-01", regions: "EU", EIND: "1"}]));
+        const spec = comparisonSpec(regions, {mode: "overlay", baseline: null});
+        expect(spec.VLspec.facet).toEqual({field: "regions", type: "nominal"});
+        expect(spec.VLspec.spec.encoding.x.field).toBe("time");
+    });
+
+    test('only tabulates items with more dimensions', () => {
+        const row = {time: "2000-01-01", regions: "EU", sectors: "energy", efactor: "1"};
+        const sectors = runsOf("efactor", {name: "", type: "singlevalue", VLspec: {}, data: [row]});
+        const spec = comparisonSpec(sectors, {mode: "overlay", baseline: null});
+        expect(spec.type).toBe("singlevalue");
+        expect(spec.data).toHaveLength(2);
+    });
+});
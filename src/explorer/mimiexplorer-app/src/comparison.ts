@@ -0,0 +1,121 @@
+import { Spec } from './protocol';
+import { Row, tableColumns, tableRows } from './tableData';
+
+// Builds the plots of an item across several runs from the "comparison" spec
+// the host sends, which holds the item's own spec in each run: the runs
+// overlaid, or each run's difference from a baseline run.
+
+export type CompareMode = "overlay" | "difference" | "percent";
+
+export type CompareOptions = {
+    mode: CompareMode,
+    // defaults to the first run
+    baseline: string | null,
+}
+
+export const compareModeLabels: { [mode in CompareMode]: string } = {
+    overlay: "Overlay",
+    difference: "Difference",
+    percent: "% difference",
+};
+
+export const defaultCompareOptions: CompareOptions = { mode: "overlay", baseline: null };
+
+export const RUN_COLUMN = "run";
+
+const plotWidth = 450;
+const plotHeight = 300;
+const facetWidth = 200;
+const facetHeight = 150;
+
+export function runNames(spec: Spec): string[] {
+    return (spec.runs || []).map((r) => r.run);
+}
+
+// The rows of every run, each with the name of its run
+export function runRows(spec: Spec): Row[] {
+    const rows: Row[] = [];
+    (spec.runs || []).forEach((r) => {
+        tableRows(r.spec).forEach((row) => rows.push({[RUN_COLUMN]: r.run, ...row}));
+    });
+    return rows;
+}
+
+// The difference of each row to the row of the baseline run with the same
+// values in the other columns, in percent of the baseline value if `percent`.
+// Rows without a numeric counterpart in the baseline are left out.
+export function differenceRows(rows: Row[], valueColumn: string, baseline: string, percent: boolean): Row[] {
+    const keyColumns = tableColumns(rows).filter((c) => c !== RUN_COLUMN && c !== valueColumn);
+    const key = (row: Row) => JSON.stringify(keyColumns.map((c) => row[c]));
+    const base = new Map<string, number>();
+    rows.filter((row) => row[RUN_COLUMN] === baseline).forEach((row) => base.set(key(row), Number(row[valueColumn])));
+    const differences: Row[] = [];
+    rows.forEach((row) => {
+        const b = base.get(key(row));
+        const value = Number(row[valueColumn]);
+        if (row[RUN_COLUMN] === baseline || b === undefined || isNaN(b) || isNaN(value)) {
+            return;
+        }
+        const difference = percent ? (b === 0 ? NaN : 100 * (value - b) / Math.abs(b)) : value - b;
+        if (!isNaN(difference)) {
+            differences.push({...row, [valueColumn]: String(difference)});
+        }
+    });
+    return differences;
+}
+
+// A plain spec for PlotPanel and the table view. Items over time are drawn as
+// lines, others as points, scalars as bars per run; a second dimension gets a
+// plot of its own per value, and items with more dimensions only a table.
+export function comparisonSpec(spec: Spec, options: CompareOptions): Spec {
+    const runs = runNames(spec);
+    const baseline = options.baseline !== null && runs.indexOf(options.baseline) !== -1 ? options.baseline : runs[0];
+    const valueColumn = spec.item_name || spec.name.split(" : ").pop() || "";
+    let rows = runRows(spec);
+    let name = spec.name;
+    if (options.mode !== "overlay") {
+        rows = differenceRows(rows, valueColumn, baseline, options.mode === "percent");
+        name = `${spec.name}, ${compareModeLabels[options.mode].toLowerCase()} from ${baseline}`;
+    }
+    const dims = tableColumns(rows).filter((c) => c !== RUN_COLUMN && c !== valueColumn);
+    if (dims.length > 2) {
+        return {name: name, type: "singlevalue", VLspec: {}, data: rows};
+    }
+
+    const x = dims.indexOf("time") !== -1 ? "time" : dims[0];
+    const facet = dims.filter((d) => d !== x)[0];
+    const y = {
+        field: valueColumn,
+        type: "quantitative",
+        title: options.mode === "overlay" ? valueColumn :
+            options.mode === "percent" ? `${valueColumn} (% change from ${baseline})` : `${valueColumn} - ${baseline}`,
+    };
+    const color = {field: RUN_COLUMN, type: "nominal", title: "run", scale: {scheme: "category10"}};
+    let view: any;
+    if (!x) {
+        view = {mark: "bar", encoding: {x: {field: RUN_COLUMN, type: "nominal", title: "run"}, y: y, color: color}};
+    } else if (x === "time") {
+        view = {
+            mark: {type: "line", point: true},
+            encoding: {x: {field: x, type: "temporal", timeUnit: "utcyear", title: ""}, y: y, color: color},
+        };
+    } else {
+        view = {mark: {type: "point", filled: true}, encoding: {x: {field: x, type: "ordinal"}, y: y, color: color}};
+    }
+    const VLspec = facet ? {
+        $schema: "https://vega.github.io/schema/vega-lite/v4.json",
+        title: name,
+        data: {values: rows},
+        facet: {field: facet, type: "nominal"},
+        columns: 3,
+        spec: {width: facetWidth, height: facetHeight, ...view},
+    } : {
+        $schema: "https://vega.github.io/schema/vega-lite/v4.json",
+        title: name,
+        data: {values: rows},
+        width: plotWidth,
+        height: plotHeight,
+        ...view,
+    };
+    return {name: name, type: options.mode, VLspec: VLspec};
+}
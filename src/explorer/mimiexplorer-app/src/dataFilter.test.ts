@@ -0,0 +1,71 @@
+import { DataNode } from './protocol';
+import { filterNodes, fuzzyScore } from './dataFilter';
+
+const node = (comp_name: string, item_name: string, dims?: string[]): DataNode => (
+    {name: `${comp_name} : ${item_name}`, comp_name, item_name, dims}
+);
+
+const nodes = [
+    node("emissions", "E", ["time"]),
+    node("emissions", "EIND", ["time", "regions"]),
+    node("emissions", "sigma", ["regions"]),
+    node("climate", "t2xco2", []),
+    node("climate", "legacy"),
+];
+
+describe('fuzzyScore', () => {
+    test('matches the query characters in order', () => {
+        expect(fuzzyScore("emsig", "emissions sigma")).not.toBeNull();
+        expect(fuzzyScore("sigem", "emissions sigma")).toBeNull();
+        expect(fuzzyScore("x", "emissions sigma")).toBeNull();
+    });
+
+    test('ignores case and whitespace in the query', () => {
+        expect(fuzzyScore("EM SIG", "emissions sigma")).toBe(fuzzyScore("emsig", "emissions sigma"));
+    });
+
+    test('matches anything with an empty query', () => {
+        expect(fuzzyScore(" ", "climate t2xco2")).toBe(0);
+    });
+
+    test('prefers consecutive characters and word starts', () => {
+        const consecutive = fuzzyScore("sig", "climate sigma") as number;
+        const scattered = fuzzyScore("sig", "climate sxixg") as number;
+        expect(consecutive).toBeGreaterThan(scattered);
+        expect(fuzzyScore("s", "climate sigma") as number).toBeGreaterThan(fuzzyScore("s", "climate xsigm") as number);
+    });
+
+    test('prefers shorter texts among equal matches', () => {
+        expect(fuzzyScore("e", "emissions e") as number).toBeGreaterThan(fuzzyScore("e", "emissions eind") as number);
+    });
+});
+
+describe('filterNodes', () => {
+    test('keeps the order of the nodes without a query', () => {
+        expect(filterNodes(nodes, "", "all")).toEqual(nodes);
+    });
+
+    test('sorts the matches by score', () => {
+        expect(filterNodes(nodes, "eind", "all").map((n) => n.item_name)).toEqual(["EIND"]);
+        expect(filterNodes(nodes, "emi e", "all").map((n) => n.item_name)).toEqual(["E", "EIND"]);
+    });
+
+    test('filters by dimensionality', () => {
+        expect(filterNodes(nodes, "", "scalar").map((n) => n.item_name)).toEqual(["t2xco2"]);
+        expect(filterNodes(nodes, "", "time").map((n) => n.item_name)).toEqual(["E"]);
+        expect(filterNodes(nodes, "", "1d").map((n) => n.item_name)).toEqual(["sigma"]);
+        expect(filterNodes(nodes, "", "2d").map((n) => n.item_name)).toEqual(["EIND"]);
+    });
+
+    test('puts items with more than two dimensions together', () => {
+        const efactor = node("emissions", "efactor", ["time", "regions", "sectors"]);
+        const withMore = nodes.concat(efactor, node("emissions", "share", ["time", "regions", "sectors", "fuels"]));
+        expect(filterNodes(withMore, "", "nd").map((n) => n.item_name)).toEqual(["efactor", "share"]);
+        expect(filterNodes(withMore, "", "2d")).not.toContain(efactor);
+    });
+
+    test('leaves nodes without dims out of the dimensionality filters', () => {
+        expect(filterNodes(nodes, "legacy", "all").map((n) => n.item_name)).toEqual(["legacy"]);
+        expect(filterNodes(nodes, "legacy", "scalar")).toEqual([]);
+    });
+});
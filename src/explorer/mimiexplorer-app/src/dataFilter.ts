@@ -0,0 +1,68 @@
+import { DataNode } from './protocol';
+
+export type ItemKind = "all" | "vars" | "pars";
+
+export type Dimensionality = "all" | "scalar" | "time" | "1d" | "2d" | "nd";
+
+export const dimensionalityLabels: { [d in Dimensionality]: string } = {
+    all: "Any dims",
+    scalar: "Scalar",
+    time: "Time",
+    "1d": "1-D",
+    "2d": "2-D",
+    nd: ">2-D",
+};
+
+// Scores how well `query` fuzzily matches `text`: every character of the query
+// has to appear in the text in order. Consecutive characters and characters at
+// the start of a word score higher. Returns null if there is no match.
+export function fuzzyScore(query: string, text: string): number | null {
+    const q = query.toLowerCase().replace(/\s+/g, "");
+    const t = text.toLowerCase();
+    if (q.length === 0) {
+        return 0;
+    }
+    let score = 0;
+    let last = -1;
+    for (let i = 0; i < q.length; i++) {
+        const index = t.indexOf(q[i], last + 1);
+        if (index === -1) {
+            return null;
+        }
+        score += 1;
+        if (index === last + 1) {
+            score += 2;
+        }
+        if (index === 0 || /[\s_:.]/.test(t[index - 1])) {
+            score += 3;
+        }
+        last = index;
+    }
+    // prefer shorter texts among equally good matches
+    return score - t.length / 100;
+}
+
+export function dimensionality(node: DataNode): Dimensionality | null {
+    if (!node.dims) {
+        return null;
+    }
+    if (node.dims.length === 0) {
+        return "scalar";
+    }
+    if (node.dims.length === 1) {
+        return node.dims[0] === "time" ? "time" : "1d";
+    }
+    return node.dims.length === 2 ? "2d" : "nd";
+}
+
+// The nodes matching `query` and `dims`, best match first
+export function filterNodes(nodes: DataNode[], query: string, dims: Dimensionality): DataNode[] {
+    const scored = nodes
+        .filter((node) => dims === "all" || dimensionality(node) === dims)
+        .map((node) => ({node: node, score: fuzzyScore(query, `${node.comp_name} ${node.item_name}`)}))
+        .filter((s) => s.score !== null);
+    if (query.trim().length > 0) {
+        scored.sort((a, b) => (b.score as number) - (a.score as number));
+    }
+    return scored.map((s) => s.node);
+}
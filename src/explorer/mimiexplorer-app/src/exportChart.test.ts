@@ -0,0 +1,76 @@
+import { fileBaseName, resizeSpec, specHeight, specRows, specWidth, toCSV } from './exportChart';
+
+describe('toCSV', () => {
+    test('writes a header and a line per row', () => {
+        expect(toCSV([{time: "2000-01-01", E: "10"}, {time: "2010-01-01", E: "12"}])).toBe(
+            "time,E\n2000-01-01,10\n2010-01-01,12\n"
+        );
+    });
+
+    test('quotes fields with quotes, commas or newlines', () => {
+        expect(toCSV([{name: 'say "hi"', regions: "USA, EU", note: "two\nlines", plain: "x"}])).toBe(
+            'name,regions,note,plain\n"say ""hi""","USA, EU","two\nlines",x\n'
+        );
+    });
+
+    test('takes the columns from every row, in order of first appearance', () => {
+        expect(toCSV([{a: 1, b: 2}, {b: 3, c: 4, a: 5}, {c: null}])).toBe("a,b,c\n1,2,\n5,3,4\n,,\n");
+    });
+
+    test('writes just a newline without rows', () => {
+        expect(toCSV([])).toBe("\n");
+    });
+});
+
+test('specRows reads the inline data', () => {
+    expect(specRows({data: {values: [{a: "1"}]}})).toEqual([{a: "1"}]);
+    expect(specRows({data: {url: "data.csv"}})).toEqual([]);
+    expect(specRows(undefined)).toEqual([]);
+});
+
+test('fileBaseName leaves out the value of scalars', () => {
+    expect(fileBaseName({name: "emissions : E", VLspec: {}})).toBe("emissions_E");
+    expect(fileBaseName({name: "climate : t2xco2 = 3.2", VLspec: {}})).toBe("climate_t2xco2");
+    expect(fileBaseName({name: "", VLspec: {}})).toBe("plot");
+});
+
+describe('sizes', () => {
+    const vconcat = {
+        data: {values: []},
+        vconcat: [
+            {width: 450, height: 410, mark: "line"},
+            {width: 450, height: 90, mark: "line"},
+        ],
+    };
+    const facet = {
+        data: {values: []},
+        facet: {field: "regions", type: "nominal"},
+        spec: {width: 200, height: 150, mark: "line"},
+    };
+
+    test('are read from the main plot', () => {
+        expect([specWidth(vconcat), specHeight(vconcat)]).toEqual([450, 410]);
+        expect([specWidth(facet), specHeight(facet)]).toEqual([200, 150]);
+        expect([specWidth({mark: "bar", width: "container"}), specHeight({mark: "bar"})]).toEqual([null, null]);
+    });
+
+    test('scale every concatenated plot alike', () => {
+        const resized = resizeSpec(vconcat, 2, 0.5);
+        expect(resized.vconcat).toEqual([
+            {width: 900, height: 205, mark: "line"},
+            {width: 900, height: 45, mark: "line"},
+        ]);
+        expect([specWidth(resized), specHeight(resized)]).toEqual([900, 205]);
+    });
+
+    test('scale the plot of each facet', () => {
+        const resized = resizeSpec(facet, 1.5, 1.5);
+        expect(resized.spec).toEqual({width: 300, height: 225, mark: "line"});
+        expect(resized.facet).toBe(facet.facet);
+    });
+
+    test('leave the spec they were given alone', () => {
+        resizeSpec(vconcat, 2, 2);
+        expect(vconcat.vconcat[0]).toEqual({width: 450, height: 410, mark: "line"});
+    });
+});
@@ -0,0 +1,118 @@
+import { View, parse } from 'vega';
+import { compile } from 'vega-lite';
+import { Spec } from './protocol';
+
+export type ImageFormat = "png" | "svg";
+
+// The inline data rows of a spec from buildspecs.jl
+export function specRows(vlspec: any): any[] {
+    return vlspec && vlspec.data && Array.isArray(vlspec.data.values) ? vlspec.data.values : [];
+}
+
+function csvField(value: any) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(rows: any[]): string {
+    const columns: string[] = [];
+    rows.forEach((row) => Object.keys(row).forEach((key) => {
+        if (columns.indexOf(key) === -1) {
+            columns.push(key);
+        }
+    }));
+    const lines = [columns.map(csvField).join(",")];
+    rows.forEach((row) => lines.push(columns.map((c) => csvField(row[c])).join(",")));
+    return lines.join("\n") + "\n";
+}
+
+// "comp_name : item_name" => "comp_name_item_name"
+export function fileBaseName(spec: Spec): string {
+    return spec.name.split(" = ")[0].replace(/\s*:\s*/g, "_").replace(/[^\w.-]+/g, "_") || "plot";
+}
+
+// The width of the main plot of a spec, which `resizeSpec` scales from
+export function specWidth(vlspec: any): number | null {
+    const unit = vlspec.vconcat ? vlspec.vconcat[0] : vlspec;
+    const width = unit.facet ? unit.spec.width : unit.width;
+    return typeof width === "number" ? width : null;
+}
+
+export function specHeight(vlspec: any): number | null {
+    const unit = vlspec.vconcat ? vlspec.vconcat[0] : vlspec;
+    const height = unit.facet ? unit.spec.height : unit.height;
+    return typeof height === "number" ? height : null;
+}
+
+// A copy of `vlspec` where every width is scaled by `fx` and every height by
+// `fy`, so the plots of a concatenated spec keep their proportions
+export function resizeSpec(vlspec: any, fx: number, fy: number): any {
+    const resize = (unit: any): any => {
+        const copy = {...unit};
+        if (typeof copy.width === "number") {
+            copy.width = Math.round(copy.width * fx);
+        }
+        if (typeof copy.height === "number") {
+            copy.height = Math.round(copy.height * fy);
+        }
+        ["vconcat", "hconcat", "concat"].forEach((key) => {
+            if (copy[key]) {
+                copy[key] = copy[key].map(resize);
+            }
+        });
+        if (copy.spec) {
+            copy.spec = resize(copy.spec);
+        }
+        return copy;
+    };
+    return resize(vlspec);
+}
+
+// Render `vlspec` to a PNG or SVG data URL. With no size given the live `view`
+// is used, which keeps any brushing the user did; otherwise the spec is
+// rendered again, headless, at the requested size.
+export async function imageURL(vlspec: any, view: View | null, format: ImageFormat, scale: number,
+                               width?: number, height?: number): Promise<string> {
+    if (view && !width && !height) {
+        return view.toImageURL(format, scale);
+    }
+    const baseWidth = specWidth(vlspec);
+    const baseHeight = specHeight(vlspec);
+    const fx = width && baseWidth ? width / baseWidth : 1;
+    const fy = height && baseHeight ? height / baseHeight : 1;
+    const headless = new View(parse(compile(resizeSpec(vlspec, fx, fy)).spec), {renderer: "none"});
+    try {
+        return await headless.toImageURL(format, scale);
+    } finally {
+        headless.finalize();
+    }
+}
+
+export function download(filename: string, url: string) {
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
+export function downloadText(filename: string, text: string, type: string) {
+    const url = URL.createObjectURL(new Blob([text], {type: type}));
+    download(filename, url);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function copyText(text: string): Promise<void> {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        return navigator.clipboard.writeText(text);
+    }
+    // Electron without clipboard permissions, older browsers
+    const textarea = document.createElement("textarea");
+    textarea.value = text;
+    document.body.appendChild(textarea);
+    textarea.select();
+    const copied = document.execCommand("copy");
+    document.body.removeChild(textarea);
+    return copied ? Promise.resolve() : Promise.reject(new Error("Could not copy to the clipboard"));
+}
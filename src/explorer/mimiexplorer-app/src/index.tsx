@@ -1,8 +1,8 @@
-import embed from 'vega-embed';
 import React from 'react';
 import ReactDOM from 'react-dom';
 import App from './App';
 import * as serviceWorker from './serviceWorker';
+import { getTransport } from './transport';
 import { withStyles } from "@material-ui/core/styles";
 
 // https://codesandbox.io/s/l48vjmk3om
@@ -30,8 +30,4 @@ ReactDOM.render(
 
 serviceWorker.unregister();
 
-function display(spec) {
-  embed("#vis", spec["VLspec"], {actions: false});
-}
-
-global['display'] = display
+getTransport().handshake();
@@ -0,0 +1,134 @@
+// The messages exchanged between the explorer and its host. The host side of
+// this contract lives in src/explorer/explore.jl and in mock-server/server.js;
+// bump PROTOCOL_VERSION whenever a change here is not backwards compatible.
+
+export const PROTOCOL_VERSION = 1;
+
+//
+// Payloads
+//
+
+// When comparing runs, `runs` lists the runs that have the component or item,
+// and `differs` whether the item has different values in them.
+
+export type TreeNode = {
+    name: string,
+    children: TreeNode[],
+    runs?: string[],
+}
+
+export type DataNode = {
+    name: string,
+    item_name: string,
+    comp_name: string,
+    dims?: string[],
+    unit?: string,
+    runs?: string[],
+    differs?: boolean,
+}
+
+export type DataNodeList = {
+    vars: DataNode[],
+    pars: DataNode[],
+}
+
+export type Spec = {
+    name: string,
+    type?: string,
+    VLspec: any,
+    // rows for the table view of items that have no plot
+    data?: Array<{ [column: string]: any }>,
+    // for type "comparison": the spec of the item in each run
+    item_name?: string,
+    runs?: RunSpec[],
+}
+
+export type RunSpec = {
+    run: string,
+    spec: Spec,
+}
+
+export type SimulationInfo = {
+    models: number,
+    scenarios: string[],
+    trials: number,
+    model_index: number,
+    scen_name: string | null,
+}
+
+export type HelloResult = {
+    version: number,
+    mode?: 'model' | 'simulation' | 'comparison',
+    // names the model's components, to match saved sessions to their model
+    model?: string,
+    title?: string,
+    simulation?: SimulationInfo,
+    // names of the runs being compared
+    runs?: string[],
+}
+
+// Which results of a simulation to display; a null trial means all trials
+export type SimulationOptions = {
+    model_index?: number,
+    scen_name?: string | null,
+    trial?: number | null,
+}
+
+//
+// Requests (explorer -> host), each answered by exactly one Response
+//
+
+export type Request =
+    | { cmd: 'hello', version: number }
+    | { cmd: 'display_spec', comp_name: string, item_name: string } & SimulationOptions
+    | { cmd: 'update_data', comp_name: string }
+    | { cmd: 'item_index' };
+
+export type Command = Request["cmd"];
+
+export type ResultOf = {
+    hello: HelloResult,
+    display_spec: Spec,
+    update_data: DataNodeList,
+    item_index: DataNodeList,
+}
+
+export type RequestMessage = Request & { id: number };
+
+//
+// Frames sent by the host: responses to requests, and events pushed by the
+// host on its own, such as the initial tree and data lists
+//
+
+export type ProtocolError = {
+    message: string,
+}
+
+export type ResponseMessage =
+    | { id: number, ok: true, result: any }
+    | { id: number, ok: false, error: ProtocolError };
+
+export type Events = {
+    setTreeChildren: TreeNode[],
+    setData: DataNodeList,
+    display: Spec,
+}
+
+export type EventName = keyof Events;
+
+export type EventMessage = { event: EventName, payload: any };
+
+export type HostMessage = ResponseMessage | EventMessage;
+
+export function isResponse(message: HostMessage): message is ResponseMessage {
+    return (message as ResponseMessage).id !== undefined;
+}
+
+// Checks the result of the `hello` handshake, throwing if the host speaks
+// a protocol version we do not understand.
+export function checkHello(result: HelloResult) {
+    if (result.version !== PROTOCOL_VERSION) {
+        throw new Error(`The host speaks explorer protocol version ${result.version}, but this explorer expects version ${PROTOCOL_VERSION}.`);
+    }
+    return result;
+}
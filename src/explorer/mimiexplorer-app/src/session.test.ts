@@ -0,0 +1,84 @@
+import { Session, decodeHash, emptySession, encodeHash, parseSession, sameOptions } from './session';
+
+const session: Session = {
+    ...emptySession(),
+    component: "climate",
+    expanded: ["climate"],
+    item: {comp_name: "climate", item_name: "temperature"},
+    layout: "grid",
+    active: 1,
+    options: {model_index: 2, scen_name: "high", trial: null},
+    panels: [
+        {
+            item: {comp_name: "climate", item_name: "temperature"}, options: {model_index: 2, scen_name: "high", trial: null},
+            pinned: false, view: "plot", compare: {mode: "overlay", baseline: null},
+        },
+        {
+            item: {comp_name: "emissions", item_name: "E"}, options: {model_index: 1, scen_name: null, trial: 7},
+            pinned: true, view: "table", compare: {mode: "percent", baseline: "policy"},
+        },
+    ],
+};
+
+describe('encodeHash', () => {
+    test('writes a readable hash', () => {
+        expect(encodeHash(session)).toBe(
+            "comp=climate&open=climate&item=climate/temperature&layout=grid" +
+            "&panels=climate/temperature,emissions/E~table~pinned~model:1~scen:~trial:7~percent~from:policy" +
+            "&active=1&model=2&scen=high"
+        );
+    });
+
+    test('leaves out what an empty session has', () => {
+        expect(encodeHash(emptySession())).toBe("");
+    });
+});
+
+describe('decodeHash', () => {
+    test('reads back an encoded session', () => {
+        expect(decodeHash("#" + encodeHash(session))).toEqual(session);
+    });
+
+    test('gives the panels the options of the session unless they have their own', () => {
+        const decoded = decodeHash("#panels=a/x,b/y~scen:low&scen=high") as Session;
+        expect(decoded.options).toEqual({scen_name: "high", trial: null});
+        expect(decoded.panels.map((p) => p.options)).toEqual([{scen_name: "high", trial: null}, {scen_name: "low", trial: null}]);
+    });
+
+    test('keeps what the hash leaves out from the base session', () => {
+        const base = {...emptySession(), expanded: ["emissions"], options: {trial: 3}};
+        const decoded = decodeHash("#item=emissions/E", base) as Session;
+        expect(decoded.expanded).toEqual(["emissions"]);
+        expect(decoded.options).toEqual({trial: 3});
+        expect(decoded.item).toEqual({comp_name: "emissions", item_name: "E"});
+    });
+
+    test('skips malformed panels', () => {
+        const decoded = decodeHash("#panels=nonsense,a/x~pinned&active=4") as Session;
+        expect(decoded.panels.map((p) => p.item)).toEqual([{comp_name: "a", item_name: "x"}]);
+        expect(decoded.panels[0].pinned).toBe(true);
+    });
+
+    test('returns null for an empty hash', () => {
+        expect(decodeHash("")).toBeNull();
+        expect(decodeHash("#")).toBeNull();
+    });
+});
+
+test('sameOptions treats missing and null options alike', () => {
+    expect(sameOptions({}, {scen_name: null, trial: null})).toBe(true);
+    expect(sameOptions({trial: 2}, {trial: 3})).toBe(false);
+    expect(sameOptions({model_index: 2}, {})).toBe(false);
+});
+
+describe('parseSession', () => {
+    test('fills in what older files leave out', () => {
+        expect(parseSession(JSON.stringify({version: 1, panels: []}))).toEqual(emptySession());
+    });
+
+    test('rejects other files', () => {
+        expect(() => parseSession("not json")).toThrow("This is not a session file.");
+        expect(() => parseSession("{}")).toThrow("This is not a session file.");
+        expect(() => parseSession(JSON.stringify({version: 99, panels: []}))).toThrow(/version 99/);
+    });
+});
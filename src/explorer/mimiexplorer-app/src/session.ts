@@ -0,0 +1,317 @@
+import { HelloResult, SimulationOptions } from './protocol';
+import { CompareMode, CompareOptions } from './comparison';
+import { Listener } from './transport';
+
+// What is needed to rebuild the explorer as the user left it. The part that
+// fits in a link goes to the URL hash, all of it goes to localStorage and to
+// saved session files.
+
+export const SESSION_VERSION = 1;
+
+// How the workspace arranges its panels
+export type Layout = "tabs" | "grid";
+
+// What a panel shows of its item
+export type PanelView = "plot" | "table";
+
+export type ItemRef = {
+    comp_name: string,
+    item_name: string,
+}
+
+export type PanelSession = {
+    item: ItemRef,
+    options: SimulationOptions,
+    pinned: boolean,
+    view: PanelView,
+    compare?: CompareOptions,
+}
+
+export type Session = {
+    version: number,
+    // HelloResult.model or title of the model or simulation the session was made for
+    model: string | null,
+    component: string | null,
+    expanded: string[],
+    item: ItemRef | null,
+    layout: Layout,
+    active: number | null,
+    panels: PanelSession[],
+    options: SimulationOptions,
+}
+
+export function emptySession(): Session {
+    return {
+        version: SESSION_VERSION,
+        model: null,
+        component: null,
+        expanded: [],
+        item: null,
+        layout: "tabs",
+        active: null,
+        panels: [],
+        options: {},
+    };
+}
+
+export function sameItem(a: ItemRef | null, b: ItemRef | null) {
+    return a === b || (!!a && !!b && a.comp_name === b.comp_name && a.item_name === b.item_name);
+}
+
+// Whether `a` and `b` pick the same simulation results
+export function sameOptions(a: SimulationOptions, b: SimulationOptions) {
+    return (a.model_index || null) === (b.model_index || null) &&
+        (a.scen_name || null) === (b.scen_name || null) &&
+        (a.trial || null) === (b.trial || null);
+}
+
+// "comp_name/item_name"
+const itemToString = (item: ItemRef) => `${item.comp_name}/${item.item_name}`;
+
+function itemFromString(text: string): ItemRef | null {
+    const [comp_name, item_name] = text.split("/");
+    return comp_name && item_name ? {comp_name, item_name} : null;
+}
+
+// Simulation options as read from the hash; the model is left out when not
+// given, so that the host's default applies
+function optionsFromText(model?: string | null, scen?: string | null, trial?: string | null): SimulationOptions {
+    const options: SimulationOptions = {scen_name: scen || null, trial: Number(trial) || null};
+    if (Number(model)) {
+        options.model_index = Number(model);
+    }
+    return options;
+}
+
+// The flags following a panel's item in the hash: its view, whether it is
+// pinned, its simulation options where they differ from the session's, and
+// how it compares runs, e.g. "table~pinned~model:2~scen:high~trial:~percent~from:baseline"
+function panelFlags(panel: PanelSession, options: SimulationOptions): string[] {
+    const flags = [panel.view === "table" ? "table" : null, panel.pinned ? "pinned" : null];
+    if (!sameOptions(panel.options, options)) {
+        const { model_index, scen_name, trial } = panel.options;
+        flags.push(`model:${model_index || ""}`, `scen:${scen_name || ""}`, `trial:${trial || ""}`);
+    }
+    if (panel.compare) {
+        flags.push(panel.compare.mode !== "overlay" ? panel.compare.mode : null);
+        flags.push(panel.compare.baseline !== null ? `from:${panel.compare.baseline}` : null);
+    }
+    return flags.filter((flag) => flag) as string[];
+}
+
+function panelFromFlags(item: ItemRef, flags: string[], options: SimulationOptions): PanelSession {
+    const values: { [key: string]: string } = {};
+    flags.forEach((flag) => {
+        const colon = flag.indexOf(":");
+        if (colon !== -1) {
+            values[flag.slice(0, colon)] = flag.slice(colon + 1);
+        }
+    });
+    const own = "model" in values || "scen" in values || "trial" in values;
+    const modes: CompareMode[] = ["difference", "percent"];
+    return {
+        item: item,
+        options: own ? optionsFromText(values.model, values.scen, values.trial) : options,
+        pinned: flags.indexOf("pinned") !== -1,
+        view: flags.indexOf("table") !== -1 ? "table" : "plot",
+        compare: {
+            mode: modes.find((mode) => flags.indexOf(mode) !== -1) || "overlay",
+            baseline: "from" in values ? values.from : null,
+        },
+    };
+}
+
+// e.g. #comp=climate&item=climate/temperature&layout=grid&panels=climate/temperature~table,emissions/E~pinned
+export function encodeHash(session: Session): string {
+    const params = new URLSearchParams();
+    const { options } = session;
+    if (session.component) {
+        params.set("comp", session.component);
+    }
+    if (session.expanded.length) {
+        params.set("open", session.expanded.join(","));
+    }
+    if (session.item) {
+        params.set("item", itemToString(session.item));
+    }
+    if (session.layout !== "tabs") {
+        params.set("layout", session.layout);
+    }
+    if (session.panels.length) {
+        params.set("panels", session.panels.map((p) => [itemToString(p.item)].concat(panelFlags(p, options)).join("~")).join(","));
+    }
+    if (session.active !== null && session.active > 0) {
+        params.set("active", String(session.active));
+    }
+    if (options.model_index) {
+        params.set("model", String(options.model_index));
+    }
+    if (options.scen_name) {
+        params.set("scen", options.scen_name);
+    }
+    if (options.trial) {
+        params.set("trial", String(options.trial));
+    }
+    // the separators are safe in a hash, and keep it readable
+    return params.toString().replace(/%2F/g, "/").replace(/%2C/g, ",").replace(/%7E/g, "~").replace(/%3A/g, ":");
+}
+
+// The session in `hash`, over `base` for whatever the hash leaves out; null
+// for an empty hash
+export function decodeHash(hash: string, base: Session = emptySession()): Session | null {
+    const params = new URLSearchParams(hash.replace(/^#/, ""));
+    if (!Array.from(params.keys()).length) {
+        return null;
+    }
+    const number = (key: string) => params.has(key) ? Number(params.get(key)) || null : null;
+    const options: SimulationOptions = params.has("model") || params.has("scen") || params.has("trial") ?
+        optionsFromText(params.get("model"), params.get("scen"), params.get("trial")) : base.options;
+    const panels: PanelSession[] = [];
+    (params.get("panels") || "").split(",").forEach((text) => {
+        const [item, ...flags] = text.split("~");
+        const ref = itemFromString(item);
+        if (ref) {
+            panels.push(panelFromFlags(ref, flags, options));
+        }
+    });
+    return {
+        ...base,
+        component: params.get("comp"),
+        expanded: params.has("open") ? (params.get("open") as string).split(",") : base.expanded,
+        item: params.has("item") ? itemFromString(params.get("item") as string) : null,
+        layout: params.get("layout") === "grid" ? "grid" : "tabs",
+        active: panels.length ? number("active") || 0 : null,
+        panels: panels,
+        options: options,
+    };
+}
+
+// Checks the contents of a session file, throwing an Error that says what is wrong
+export function parseSession(text: string): Session {
+    let session: any;
+    try {
+        session = JSON.parse(text);
+    } catch (error) {
+        throw new Error("This is not a session file.");
+    }
+    if (!session || typeof session !== "object" || !Array.isArray(session.panels)) {
+        throw new Error("This is not a session file.");
+    }
+    if (session.version !== SESSION_VERSION) {
+        throw new Error(`Session files of version ${session.version} are not supported, this explorer reads version ${SESSION_VERSION}.`);
+    }
+    return {...emptySession(), ...session};
+}
+
+export function modelName(hello: HelloResult): string {
+    return hello.model || hello.title || hello.mode || "model";
+}
+
+// Keeps the session up to date as components report their part of it with
+// `update`, and writes it to the URL hash and localStorage. Viewing another
+// item adds a browser history entry; going back or forward through them is
+// reported to the `onNavigate` listeners, while `onRestore` listeners rebuild
+// everything from a stored or loaded session.
+export default class SessionStore {
+    private session: Session = emptySession();
+    private restoreListeners: Listener<Session>[] = [];
+    private navigateListeners: Listener<Session>[] = [];
+    private storageKey: string | null = null;
+
+    current = () => this.session;
+
+    update = (part: Partial<Session>) => {
+        const newItem = part.item !== undefined && !sameItem(part.item, this.session.item);
+        this.session = {...this.session, ...part};
+        this.persist(newItem);
+    }
+
+    // Pick up where the user left this model: from the URL hash if there is
+    // one, from localStorage otherwise.
+    start = (hello: HelloResult) => {
+        const model = modelName(hello);
+        this.storageKey = `mimi-explorer-session:${model}`;
+        let stored: Session | null = null;
+        try {
+            const text = window.localStorage.getItem(this.storageKey);
+            stored = text ? parseSession(text) : null;
+        } catch (error) {
+            console.warn(`Ignoring the stored explorer session: ${(error as Error).message}`);
+        }
+        const session = decodeHash(window.location.hash, stored || emptySession()) || stored;
+        this.session = {...this.session, model: model};
+        if (session) {
+            this.restore({...session, model: model});
+        }
+        window.addEventListener("popstate", this.onPopState);
+    }
+
+    stop = () => {
+        window.removeEventListener("popstate", this.onPopState);
+    }
+
+    restore = (session: Session) => {
+        this.session = session;
+        this.persist(false);
+        this.restoreListeners.forEach((listener) => listener(session));
+    }
+
+    // Returns a function that removes the listener again.
+    onRestore = (listener: Listener<Session>) => {
+        this.restoreListeners = this.restoreListeners.concat(listener);
+        return () => {
+            this.restoreListeners = this.restoreListeners.filter((l) => l !== listener);
+        };
+    }
+
+    // Returns a function that removes the listener again.
+    onNavigate = (listener: Listener<Session>) => {
+        this.navigateListeners = this.navigateListeners.concat(listener);
+        return () => {
+            this.navigateListeners = this.navigateListeners.filter((l) => l !== listener);
+        };
+    }
+
+    private onPopState = () => {
+        const session = decodeHash(window.location.hash, this.session);
+        if (session) {
+            // only the component and item move with the history, the panels stay
+            this.session = {...this.session, component: session.component, item: session.item};
+            this.navigateListeners.forEach((listener) => listener(this.session));
+        }
+    }
+
+    // Nothing is written before `start`, which still has to read the hash
+    private persist = (push: boolean) => {
+        if (!this.storageKey) {
+            return;
+        }
+        const hash = "#" + encodeHash(this.session);
+        if (hash !== window.location.hash && !(hash === "#" && !window.location.hash)) {
+            if (push) {
+                window.history.pushState(null, "", hash);
+            } else {
+                window.history.replaceState(null, "", hash);
+            }
+        }
+        try {
+            window.localStorage.setItem(this.storageKey, JSON.stringify(this.session));
+        } catch (error) {
+            // storage full or disabled, the hash still has the essentials
+        }
+    }
+}
+
+let store: SessionStore | null = null;
+
+export function getSession(): SessionStore {
+    if (!store) {
+        store = new SessionStore();
+    }
+    return store;
+}
+
+// Swap the session store in use, e.g. for a fresh one in tests.
+export function setSession(s: SessionStore) {
+    store = s;
+}
@@ -3,3 +3,13 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom/extend-expect';
+
+// jsdom cannot draw on a canvas; without a context vega estimates text widths
+// instead of measuring them.
+HTMLCanvasElement.prototype.getContext = (() => null) as any;
+
+// vega-lite clones specs with structuredClone, which the jsdom environment
+// leaves out; specs are plain JSON, so a JSON round trip does the same.
+if (typeof globalThis.structuredClone !== "function") {
+    globalThis.structuredClone = ((value: any) => value === undefined ? value : JSON.parse(JSON.stringify(value))) as any;
+}
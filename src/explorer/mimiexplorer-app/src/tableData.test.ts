@@ -0,0 +1,71 @@
+import { compareValues, formatCell, pivot, sortRows, tableColumns, tableRows } from './tableData';
+
+const rows = [
+    {time: "2000-01-01", regions: "USA", E: "10"},
+    {time: "2000-01-01", regions: "EU", E: "8"},
+    {time: "2010-01-01", regions: "USA", E: "12"},
+    {time: "2010-01-01", regions: "EU", E: "9.5"},
+];
+
+describe('tableRows', () => {
+    test('prefers the rows sent along with the spec', () => {
+        expect(tableRows({name: "a", VLspec: {}, data: [{a: "1"}]})).toEqual([{a: "1"}]);
+    });
+
+    test('reads the inline data of the Vega-Lite spec otherwise', () => {
+        expect(tableRows({name: "E", VLspec: {data: {values: rows}}})).toEqual(rows);
+    });
+});
+
+test('formatCell shows times as years', () => {
+    expect(formatCell("2010-01-01")).toBe("2010");
+    expect(formatCell("-500-01-01")).toBe("-500");
+    expect(formatCell("2010-06-01")).toBe("2010-06-01");
+    expect(formatCell(null)).toBe("");
+    expect(formatCell(3.5)).toBe("3.5");
+});
+
+test('tableColumns lists columns in order of first appearance', () => {
+    expect(tableColumns([{a: 1}, {b: 2, a: 3}, {c: 4}])).toEqual(["a", "b", "c"]);
+});
+
+describe('sorting', () => {
+    test('compares numbers numerically and the rest as text', () => {
+        expect(compareValues("9.5", "10")).toBeLessThan(0);
+        expect(compareValues("EU", "USA")).toBeLessThan(0);
+        expect(compareValues("", "1")).toBeLessThan(0);
+    });
+
+    test('sortRows sorts a copy in either direction', () => {
+        expect(sortRows(rows, "E", "asc").map((r) => r.E)).toEqual(["8", "9.5", "10", "12"]);
+        expect(sortRows(rows, "E", "desc").map((r) => r.E)).toEqual(["12", "10", "9.5", "8"]);
+        expect(rows[0].E).toBe("10");
+    });
+});
+
+describe('pivot', () => {
+    test('spreads the values over a column per pivot value', () => {
+        expect(pivot(rows, "regions", "E")).toEqual({
+            columns: ["time", "USA", "EU"],
+            rows: [
+                {time: "2000-01-01", USA: "10", EU: "8"},
+                {time: "2010-01-01", USA: "12", EU: "9.5"},
+            ],
+        });
+    });
+
+    test('keeps every other column as part of the row key', () => {
+        const sectors = rows.map((r, i) => ({...r, sector: i % 2 ? "land" : "energy"}));
+        const table = pivot(sectors, "time", "E");
+        expect(table.columns).toEqual(["regions", "sector", "2000-01-01", "2010-01-01"]);
+        expect(table.rows).toEqual([
+            {regions: "USA", sector: "energy", "2000-01-01": "10", "2010-01-01": "12"},
+            {regions: "EU", sector: "land", "2000-01-01": "8", "2010-01-01": "9.5"},
+        ]);
+    });
+
+    test('leaves the cells of missing combinations out', () => {
+        const table = pivot(rows.slice(0, 3), "regions", "E");
+        expect(table.rows[1]).toEqual({time: "2010-01-01", USA: "12"});
+    });
+});
@@ -0,0 +1,79 @@
+import { Spec } from './protocol';
+import { specRows } from './exportChart';
+
+// Row manipulation for the table view. Rows are the objects of a spec's
+// inline data, where getdatapart writes every value as a string.
+
+export type Row = { [column: string]: any };
+
+export type SortDirection = "asc" | "desc";
+
+export type Table = {
+    columns: string[],
+    rows: Row[],
+}
+
+// Items that cannot be plotted carry their rows outside of the Vega-Lite spec
+export function tableRows(spec: Spec): Row[] {
+    return spec.data || specRows(spec.VLspec);
+}
+
+// Times are written as the first of January of each year
+export function formatCell(value: any): string {
+    const text = value === null || value === undefined ? "" : String(value);
+    const time = /^(-?\d+)-01-01$/.exec(text);
+    return time ? time[1] : text;
+}
+
+// All columns in order of first appearance
+export function tableColumns(rows: Row[]): string[] {
+    const columns: string[] = [];
+    rows.forEach((row) => Object.keys(row).forEach((key) => {
+        if (columns.indexOf(key) === -1) {
+            columns.push(key);
+        }
+    }));
+    return columns;
+}
+
+const isNumeric = (value: any) => value !== "" && value !== null && value !== undefined && !isNaN(Number(value));
+
+// Compares numerically when both values are numbers, as text otherwise
+export function compareValues(a: any, b: any): number {
+    if (isNumeric(a) && isNumeric(b)) {
+        return Number(a) - Number(b);
+    }
+    return String(a === undefined || a === null ? "" : a).localeCompare(String(b === undefined || b === null ? "" : b));
+}
+
+export function sortRows(rows: Row[], column: string, direction: SortDirection): Row[] {
+    const sign = direction === "asc" ? 1 : -1;
+    return rows.slice().sort((a, b) => sign * compareValues(a[column], b[column]));
+}
+
+// Spread the values of `valueColumn` out over one column per distinct value of
+// `pivotColumn`; the remaining columns identify the rows. For example pivoting
+// rows of {time, regions, E} by regions gives rows of {time, USA, EU, ...}.
+export function pivot(rows: Row[], pivotColumn: string, valueColumn: string): Table {
+    const keyColumns = tableColumns(rows).filter((c) => c !== pivotColumn && c !== valueColumn);
+    const pivotValues: string[] = [];
+    const byKey = new Map<string, Row>();
+    rows.forEach((row) => {
+        const pivotValue = String(row[pivotColumn]);
+        if (pivotValues.indexOf(pivotValue) === -1) {
+            pivotValues.push(pivotValue);
+        }
+        const key = JSON.stringify(keyColumns.map((c) => row[c]));
+        let pivoted = byKey.get(key);
+        if (!pivoted) {
+            pivoted = {};
+            keyColumns.forEach((c) => { (pivoted as Row)[c] = row[c]; });
+            byKey.set(key, pivoted);
+        }
+        pivoted[pivotValue] = row[valueColumn];
+    });
+    return {
+        columns: keyColumns.concat(pivotValues),
+        rows: Array.from(byKey.values()),
+    };
+}
@@ -0,0 +1,55 @@
+import { act } from 'react-dom/test-utils';
+import { ElectronTransport, setTransport } from './transport';
+import SessionStore, { setSession } from './session';
+import { Command, EventName, Events, HostMessage, RequestMessage, ResultOf } from './protocol';
+
+// Stands in for Julia in tests: installs a fresh ElectronTransport and
+// session store, with a mock sendMessageToJulia that records the requests,
+// and pushes the host's events and responses through the global `receive`
+// like `run(w, ...)` does in the Electron window.
+export function mockJulia() {
+    window.localStorage.clear();
+    window.history.replaceState(null, "", "/");
+    const sendMessageToJulia = jest.fn();
+    global["sendMessageToJulia"] = sendMessageToJulia;
+    setTransport(new ElectronTransport());
+    setSession(new SessionStore());
+
+    const receive = async (message: HostMessage) => {
+        // responses are settled through promises, so let them run inside act too
+        await act(async () => {
+            global["receive"](message);
+        });
+    };
+
+    // The requests sent so far, or only those for `cmd`
+    const sent = (cmd?: Command): RequestMessage[] => {
+        return sendMessageToJulia.mock.calls.map((call) => call[0] as RequestMessage)
+            .filter((message) => !cmd || message.cmd === cmd);
+    };
+
+    const last = (cmd: Command) => {
+        const messages = sent(cmd);
+        if (!messages.length) {
+            throw new Error(`No ${cmd} request was sent`);
+        }
+        return messages[messages.length - 1];
+    };
+
+    return {
+        sendMessageToJulia,
+        sent,
+        last,
+        push: <E extends EventName>(event: E, payload: Events[E]) => receive({event: event, payload: payload}),
+        // answers the last request for `cmd`, or the given one
+        respond: <C extends Command>(cmd: C, result: ResultOf[C], request: RequestMessage = last(cmd)) => (
+            receive({id: request.id, ok: true, result: result})
+        ),
+        // fails the last request for `cmd`, or the given one
+        fail: (cmd: Command, message: string, request: RequestMessage = last(cmd)) => (
+            receive({id: request.id, ok: false, error: {message: message}})
+        ),
+    };
+}
+
+export type MockJulia = ReturnType<typeof mockJulia>;
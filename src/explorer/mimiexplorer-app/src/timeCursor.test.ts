@@ -0,0 +1,114 @@
+import { View, parse } from 'vega';
+import { compile } from 'vega-lite';
+import { plotArea, timeScaleName, yearAt, yearPosition } from './timeCursor';
+
+// Shaped like the specs of createspec_lineplot in buildspecs.jl
+const values = [2000, 2025, 2050, 2075, 2100].map((year, i) => ({time: `${year}-01-01`, E: `${i * 2}`}));
+const x = {field: "time", type: "temporal", timeUnit: "utcyear"};
+const y = {field: "E", type: "quantitative"};
+
+const staticLine = {
+    data: {values: values},
+    title: "emissions : E",
+    mark: {type: "line"},
+    encoding: {x: x, y: y},
+    width: 450,
+    height: 410,
+};
+
+const interactiveLine = {
+    data: {values: values},
+    vconcat: [
+        {
+            title: "emissions : E",
+            width: 450,
+            height: 410,
+            mark: {type: "line", point: true},
+            encoding: {x: {...x, axis: {title: ""}, scale: {domain: {selection: "brush"}}}, y: y},
+        },
+        {
+            title: "INTERACTIVE PLOT",
+            width: 450,
+            height: 90,
+            mark: {type: "line", point: true},
+            selection: {brush: {type: "interval", encodings: ["x"]}},
+            encoding: {x: x, y: y},
+        },
+    ],
+};
+
+async function viewOf(vlspec: any) {
+    const view = new View(parse(compile(vlspec).spec), {renderer: "none"});
+    await view.runAsync();
+    return view;
+}
+
+describe('timeScaleName', () => {
+    test('names the x scale of a plot over time', () => {
+        expect(timeScaleName(staticLine)).toBe("x");
+        expect(timeScaleName({layer: [{mark: "rule"}, staticLine]})).toBe("x");
+    });
+
+    test('names the scale of the main plot of a vconcat spec', () => {
+        expect(timeScaleName(interactiveLine)).toBe("concat_0_x");
+    });
+
+    test('gives null for plots that are not over time', () => {
+        expect(timeScaleName({mark: "bar", encoding: {x: {field: "regions", type: "nominal"}, y: y}})).toBeNull();
+        expect(timeScaleName({vconcat: [{mark: "bar", encoding: {y: y}}]})).toBeNull();
+        expect(timeScaleName(undefined)).toBeNull();
+    });
+});
+
+describe('a static line plot', () => {
+    let view: View;
+    beforeAll(async () => {
+        view = await viewOf(staticLine);
+    });
+
+    test('takes up the whole view', () => {
+        expect(plotArea(view, "x")).toEqual({x: 0, y: 0, width: 450, height: 410});
+    });
+
+    test('places the first and last year at the edges', () => {
+        expect(yearPosition(view, "x", 2000)).toBeCloseTo(0);
+        expect(yearPosition(view, "x", 2100)).toBeCloseTo(450);
+        expect(yearPosition(view, "x", 2050)).toBeCloseTo(225, 0);
+    });
+
+    test('leaves out years outside the plotted range', () => {
+        expect(yearPosition(view, "x", 1999)).toBeNull();
+        expect(yearPosition(view, "x", 2101)).toBeNull();
+    });
+
+    test('reads back the year closest to a position', () => {
+        expect(yearAt(view, "x", yearPosition(view, "x", 2042) as number)).toBe(2042);
+        expect(yearAt(view, "x", (yearPosition(view, "x", 2042) as number) + 1)).toBe(2042);
+        expect(yearAt(view, "x", 0)).toBe(2000);
+        expect(yearAt(view, "x", -1)).toBeNull();
+        expect(yearAt(view, "x", 451)).toBeNull();
+    });
+});
+
+describe('an interactive line plot', () => {
+    let view: View;
+    beforeAll(async () => {
+        view = await viewOf(interactiveLine);
+    });
+
+    test('finds the main plot through its concat_0_group', () => {
+        const area = plotArea(view, "concat_0_x");
+        expect(area).toMatchObject({width: 450, height: 410});
+        const overview = plotArea(view, "concat_1_x");
+        expect(overview).toMatchObject({x: area.x, width: 450, height: 90});
+        expect(overview.y).toBeGreaterThan(area.y + area.height);
+    });
+
+    test('positions years relative to the view origin', () => {
+        const area = plotArea(view, "concat_0_x");
+        expect(yearPosition(view, "concat_0_x", 2000)).toBeCloseTo(area.x);
+        expect(yearPosition(view, "concat_0_x", 2100)).toBeCloseTo(area.x + 450);
+        expect(yearAt(view, "concat_0_x", yearPosition(view, "concat_0_x", 2075) as number)).toBe(2075);
+        expect(yearAt(view, "concat_0_x", area.x - 1)).toBeNull();
+    });
+});
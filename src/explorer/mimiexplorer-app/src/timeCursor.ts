@@ -0,0 +1,66 @@
+// Helpers for the time cursor drawn across time-series plots. They work on the
+// Vega view of an embedded spec, using the scale names Vega-Lite compiles the
+// specs from buildspecs.jl into: "concat_0_x" for the main plot of the
+// interactive (vconcat) specs, "x" for the static ones.
+
+export type PlotArea = {
+    x: number,
+    y: number,
+    width: number,
+    height: number,
+}
+
+const isTemporal = (unit: any) => !!unit && !!unit.encoding && !!unit.encoding.x && unit.encoding.x.type === "temporal";
+
+// The name of the time scale of the main plot in `vlspec`, or null if it does
+// not plot over time
+export function timeScaleName(vlspec: any): string | null {
+    if (!vlspec) {
+        return null;
+    }
+    if (vlspec.vconcat) {
+        const main = vlspec.vconcat[0];
+        return isTemporal(main) || (main.layer && main.layer.some(isTemporal)) ? "concat_0_x" : null;
+    }
+    return isTemporal(vlspec) || (vlspec.layer && vlspec.layer.some(isTemporal)) ? "x" : null;
+}
+
+// Where the plot owning `scaleName` sits, in pixels relative to the view origin
+export function plotArea(view: any, scaleName: string): PlotArea {
+    if (scaleName === "x") {
+        return { x: 0, y: 0, width: view.width(), height: view.height() };
+    }
+    const group = scaleName.replace(/_x$/, "_group");
+    const root = view.scenegraph().root.items[0];
+    const mark = root.items.find((m: any) => m.name === group);
+    const item = mark && mark.items[0];
+    return item
+        ? { x: item.x, y: item.y, width: item.width, height: item.height }
+        : { x: 0, y: 0, width: view.width(), height: view.height() };
+}
+
+// The year under horizontal position `px` (relative to the view origin), or
+// null if `px` is outside the plot
+export function yearAt(view: any, scaleName: string, px: number): number | null {
+    const area = plotArea(view, scaleName);
+    const x = px - area.x;
+    if (x < 0 || x > area.width) {
+        return null;
+    }
+    const date = new Date(view.scale(scaleName).invert(x));
+    // round to the closest start of a year
+    const year = date.getUTCFullYear();
+    const next = Date.UTC(year + 1, 0, 1);
+    return next - date.getTime() < date.getTime() - Date.UTC(year, 0, 1) ? year + 1 : year;
+}
+
+// The horizontal position of `year` relative to the view origin, or null if
+// it falls outside the plotted range
+export function yearPosition(view: any, scaleName: string, year: number): number | null {
+    const area = plotArea(view, scaleName);
+    const x = view.scale(scaleName)(new Date(Date.UTC(year, 0, 1)));
+    if (isNaN(x) || x < 0 || x > area.width) {
+        return null;
+    }
+    return area.x + x;
+}
@@ -0,0 +1,23 @@
+import ElectronTransport from './ElectronTransport';
+
+afterEach(() => {
+    delete global["sendMessageToJulia"];
+});
+
+test('hands requests to sendMessageToJulia and takes responses through receive', async () => {
+    const sendMessageToJulia = jest.fn();
+    global["sendMessageToJulia"] = sendMessageToJulia;
+    const transport = new ElectronTransport();
+    const request = transport.request({cmd: "update_data", comp_name: "climate"});
+    const sent = sendMessageToJulia.mock.calls[0][0];
+    expect(sent).toEqual({cmd: "update_data", comp_name: "climate", id: expect.any(Number)});
+    global["receive"]({id: sent.id, ok: true, result: null});
+    await expect(request).resolves.toBeNull();
+});
+
+test('fails requests right away without sendMessageToJulia', async () => {
+    const transport = new ElectronTransport();
+    await expect(transport.request({cmd: "update_data", comp_name: "climate"})).rejects.toThrow(
+        "sendMessageToJulia is not defined, so the request cannot reach Julia."
+    );
+});
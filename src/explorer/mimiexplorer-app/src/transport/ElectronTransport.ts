@@ -0,0 +1,22 @@
+import Transport from './Transport';
+import { HostMessage, RequestMessage } from '../protocol';
+
+// The bridge used when the app runs inside an Electron window opened by
+// `explore`: Julia hands us its messages by calling the global `receive`
+// through `run(w, ...)`, and requests go back through the injected
+// sendMessageToJulia.
+export default class ElectronTransport extends Transport {
+    constructor() {
+        super();
+        global["receive"] = (message: HostMessage) => this.receive(message);
+    }
+
+    protected post(message: RequestMessage) {
+        const sendMessageToJulia = global["sendMessageToJulia"];
+        if (!sendMessageToJulia) {
+            this.settle(message.id, {message: "sendMessageToJulia is not defined, so the request cannot reach Julia."});
+            return;
+        }
+        sendMessageToJulia(message);
+    }
+}
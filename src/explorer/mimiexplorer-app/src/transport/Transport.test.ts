@@ -0,0 +1,41 @@
+import Transport, { REQUEST_TIMEOUT } from './Transport';
+import { HostMessage, RequestMessage } from '../protocol';
+
+// Keeps what is posted, and lets the test answer it
+class RecordingTransport extends Transport {
+    sent: RequestMessage[] = [];
+
+    protected post(message: RequestMessage) {
+        this.sent.push(message);
+    }
+
+    answer = (message: HostMessage) => this.receive(message);
+}
+
+beforeEach(() => {
+    jest.useFakeTimers();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+test('gives up on a request the host does not answer', async () => {
+    const transport = new RecordingTransport();
+    const request = transport.request({cmd: "item_index"});
+    jest.advanceTimersByTime(REQUEST_TIMEOUT);
+    await expect(request).rejects.toThrow("The host did not answer the item_index request.");
+});
+
+test('waits for data as long as the host needs', async () => {
+    const transport = new RecordingTransport();
+    const listener = jest.fn();
+    transport.onRequest("display_spec", listener);
+    const request = transport.request({cmd: "display_spec", comp_name: "climate", item_name: "temperature"});
+    jest.advanceTimersByTime(10 * REQUEST_TIMEOUT);
+
+    const spec = {name: "climate : temperature", VLspec: {}};
+    transport.answer({id: transport.sent[0].id, ok: true, result: spec});
+    await expect(request).resolves.toEqual(spec);
+    expect(listener.mock.calls.map((call) => call[0].status)).toEqual(["loading", "done"]);
+});
@@ -0,0 +1,127 @@
+import {
+    Command, EventName, Events, HostMessage, PROTOCOL_VERSION, ProtocolError, Request, RequestMessage, ResultOf,
+    checkHello, isResponse
+} from '../protocol';
+
+export type Listener<T = any> = (payload: T) => void;
+
+// Where a request is at, as reported to the listeners registered with `onRequest`
+export type RequestState<C extends Command = Command> =
+    | { status: 'loading', request: Extract<Request, { cmd: C }> }
+    | { status: 'done', request: Extract<Request, { cmd: C }>, result: ResultOf[C] }
+    | { status: 'error', request: Extract<Request, { cmd: C }>, error: ProtocolError };
+
+// How long to wait for a response before giving up on a request
+export const REQUEST_TIMEOUT = 30000;
+
+// Requests for data wait as long as the host needs: the first display_spec
+// waits for Julia to compile the plotting code, and large dataframes take
+// their time.
+const UNTIMED: Command[] = ['display_spec', 'update_data'];
+
+type Pending = {
+    resolve: (result: any) => void,
+    reject: (error: Error) => void,
+    timer: any,
+}
+
+// A Transport carries requests out to the host and dispatches whatever the
+// host sends back: responses settle the promise returned by `request`, events
+// go to the listeners registered with `on`. Subclasses only implement `post`
+// and hand incoming messages to `receive`.
+export default abstract class Transport {
+    private listeners: { [event: string]: Listener[] } = {};
+    private requestListeners: { [cmd: string]: Listener<any>[] } = {};
+    private pending: { [id: number]: Pending } = {};
+    private nextId = 1;
+
+    protected abstract post(message: RequestMessage): void;
+
+    request = <C extends Command>(request: Extract<Request, { cmd: C }>): Promise<ResultOf[C]> => {
+        const id = this.nextId++;
+        const cmd = request.cmd;
+        this.notify(cmd, { status: 'loading', request });
+
+        return new Promise<any>((resolve, reject) => {
+            const timer = UNTIMED.indexOf(cmd) === -1 ? setTimeout(() => {
+                this.settle(id, { message: `The host did not answer the ${cmd} request.` });
+            }, REQUEST_TIMEOUT) : null;
+            this.pending[id] = { resolve, reject, timer };
+            this.post({ ...request, id } as RequestMessage);
+        }).then((result) => {
+            return cmd === 'hello' ? checkHello(result) : result;
+        }).then((result) => {
+            this.notify(cmd, { status: 'done', request, result });
+            return result;
+        }, (error: Error) => {
+            this.notify(cmd, { status: 'error', request, error: { message: error.message } });
+            throw error;
+        });
+    }
+
+    // Agree on a protocol version with the host. A mismatch is reported to the
+    // `onRequest("hello")` listeners like any other failed request.
+    handshake = () => {
+        this.send({ cmd: 'hello', version: PROTOCOL_VERSION });
+    }
+
+    // Fire and forget: the outcome reaches the `onRequest` listeners.
+    send = (request: Request) => {
+        this.request(request).catch(() => {});
+    }
+
+    // Returns a function that removes the listener again.
+    on = <E extends EventName>(event: E, listener: Listener<Events[E]>) => {
+        this.listeners[event] = (this.listeners[event] || []).concat(listener);
+        return () => {
+            this.listeners[event] = this.listeners[event].filter((l) => l !== listener);
+        };
+    }
+
+    // Follow every request for `cmd`, whoever made it. Returns a function
+    // that removes the listener again.
+    onRequest = <C extends Command>(cmd: C, listener: Listener<RequestState<C>>) => {
+        this.requestListeners[cmd] = (this.requestListeners[cmd] || []).concat(listener);
+        return () => {
+            this.requestListeners[cmd] = this.requestListeners[cmd].filter((l) => l !== listener);
+        };
+    }
+
+    protected receive = (message: HostMessage) => {
+        if (isResponse(message)) {
+            if (message.ok) {
+                this.settle(message.id, undefined, message.result);
+            } else {
+                this.settle(message.id, message.error);
+            }
+        } else {
+            (this.listeners[message.event] || []).forEach((listener) => listener(message.payload));
+        }
+    }
+
+    // Fail the requests still waiting for a response, other than `except`,
+    // e.g. when the connection they were sent on is lost.
+    protected rejectPending = (message: string, except: number[] = []) => {
+        Object.keys(this.pending).map(Number).filter((id) => except.indexOf(id) === -1)
+            .forEach((id) => this.settle(id, { message }));
+    }
+
+    protected settle = (id: number, error?: ProtocolError, result?: any) => {
+        const pending = this.pending[id];
+        if (!pending) {
+            console.warn(`Dropping response to unknown request ${id}`);
+            return;
+        }
+        delete this.pending[id];
+        clearTimeout(pending.timer);
+        if (error) {
+            pending.reject(new Error(error.message));
+        } else {
+            pending.resolve(result);
+        }
+    }
+
+    private notify = (cmd: Command, state: RequestState) => {
+        (this.requestListeners[cmd] || []).forEach((listener) => listener(state));
+    }
+}
@@ -0,0 +1,132 @@
+import WebSocketTransport from './WebSocketTransport';
+import { PROTOCOL_VERSION, RequestMessage } from '../protocol';
+
+// Stands in for the browser's WebSocket: the test opens, feeds and closes the
+// sockets the transport creates, and reads back what was sent on them.
+class FakeSocket {
+    static OPEN = 1;
+    static CLOSED = 3;
+    static sockets: FakeSocket[] = [];
+
+    url: string;
+    readyState = 0;
+    sent: RequestMessage[] = [];
+    onopen = () => {};
+    onmessage = (event: { data: string }) => {};
+    onclose = () => {};
+
+    constructor(url: string) {
+        this.url = url;
+        FakeSocket.sockets.push(this);
+    }
+
+    send(data: string) {
+        this.sent.push(JSON.parse(data));
+    }
+
+    open() {
+        this.readyState = FakeSocket.OPEN;
+        this.onopen();
+    }
+
+    message(data: any) {
+        this.onmessage({data: typeof data === "string" ? data : JSON.stringify(data)});
+    }
+
+    close() {
+        this.readyState = FakeSocket.CLOSED;
+        this.onclose();
+    }
+}
+
+const realWebSocket = global["WebSocket"];
+const latest = () => FakeSocket.sockets[FakeSocket.sockets.length - 1];
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    FakeSocket.sockets = [];
+    global["WebSocket"] = FakeSocket as any;
+});
+
+afterEach(() => {
+    global["WebSocket"] = realWebSocket;
+    jest.useRealTimers();
+});
+
+test('queues requests until the socket opens', () => {
+    const transport = new WebSocketTransport("ws://host");
+    transport.send({cmd: "update_data", comp_name: "climate"});
+    transport.send({cmd: "update_data", comp_name: "emissions"});
+    expect(latest().url).toBe("ws://host");
+    expect(latest().sent).toEqual([]);
+
+    latest().open();
+    expect(latest().sent.map((m) => m.cmd === "update_data" && m.comp_name)).toEqual(["climate", "emissions"]);
+    transport.send({cmd: "update_data", comp_name: "climate"});
+    expect(latest().sent).toHaveLength(3);
+});
+
+test('settles requests with the matching response', async () => {
+    const transport = new WebSocketTransport("ws://host");
+    latest().open();
+    const first = transport.request({cmd: "update_data", comp_name: "climate"});
+    const second = transport.request({cmd: "update_data", comp_name: "emissions"});
+    const [a, b] = latest().sent;
+    latest().message({id: b.id, ok: false, error: {message: "no such component"}});
+    latest().message({id: a.id, ok: true, result: null});
+    await expect(first).resolves.toBeNull();
+    await expect(second).rejects.toThrow("no such component");
+});
+
+test('drops malformed frames and keeps listening', async () => {
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    const transport = new WebSocketTransport("ws://host");
+    latest().open();
+    const request = transport.request({cmd: "update_data", comp_name: "climate"});
+    latest().message("{not json");
+    expect(error).toHaveBeenCalledWith(expect.stringMatching(/^Dropping malformed frame/));
+    latest().message({id: latest().sent[0].id, ok: true, result: null});
+    await expect(request).resolves.toBeNull();
+    error.mockRestore();
+});
+
+describe('when the socket closes', () => {
+    test('fails the requests sent on it', async () => {
+        const transport = new WebSocketTransport("ws://host");
+        latest().open();
+        const request = transport.request({cmd: "update_data", comp_name: "climate"});
+        latest().close();
+        await expect(request).rejects.toThrow("The connection to the host was lost.");
+    });
+
+    test('keeps the queued requests for the next socket', async () => {
+        const transport = new WebSocketTransport("ws://host");
+        const request = transport.request({cmd: "update_data", comp_name: "climate"});
+        latest().close();
+        jest.advanceTimersByTime(2000);
+        expect(FakeSocket.sockets).toHaveLength(2);
+
+        latest().open();
+        const sent = latest().sent.filter((m) => m.cmd === "update_data");
+        expect(sent).toHaveLength(1);
+        latest().message({id: sent[0].id, ok: true, result: null});
+        await expect(request).resolves.toBeNull();
+    });
+
+    test('reconnects and says hello again', () => {
+        const transport = new WebSocketTransport("ws://host");
+        latest().open();
+        expect(latest().sent).toEqual([]);
+        latest().close();
+        jest.advanceTimersByTime(1000);
+        expect(FakeSocket.sockets).toHaveLength(1);
+        jest.advanceTimersByTime(1000);
+        expect(FakeSocket.sockets).toHaveLength(2);
+
+        const hello = jest.fn();
+        transport.onRequest("hello", hello);
+        latest().open();
+        expect(latest().sent).toEqual([{cmd: "hello", version: PROTOCOL_VERSION, id: expect.any(Number)}]);
+        expect(hello).toHaveBeenCalledWith(expect.objectContaining({status: "loading"}));
+    });
+});
@@ -0,0 +1,60 @@
+import Transport from './Transport';
+import { HostMessage, RequestMessage } from '../protocol';
+
+const RECONNECT_DELAY = 2000;
+
+// Talks to a host over a WebSocket, so the app also runs in a plain browser
+// tab. Every frame is a single JSON-encoded message from protocol.ts.
+export default class WebSocketTransport extends Transport {
+    private url: string;
+    private socket: WebSocket | null = null;
+    private queue: RequestMessage[] = [];
+    private opened = false;
+
+    constructor(url: string) {
+        super();
+        this.url = url;
+        this.connect();
+    }
+
+    private connect = () => {
+        const socket = new WebSocket(this.url);
+        socket.onopen = () => {
+            // the host we reconnected to may have been restarted, or replaced
+            // by one that speaks another version
+            if (this.opened) {
+                this.handshake();
+            }
+            this.opened = true;
+            // flush whatever was sent while we were (re)connecting
+            this.queue.forEach((message) => socket.send(JSON.stringify(message)));
+            this.queue = [];
+        };
+        socket.onmessage = (event: MessageEvent) => {
+            let message: HostMessage;
+            try {
+                message = JSON.parse(event.data);
+            } catch (err) {
+                console.error(`Dropping malformed frame: ${(err as Error).message}`);
+                return;
+            }
+            this.receive(message);
+        };
+        socket.onclose = () => {
+            this.socket = null;
+            // what was sent on this socket cannot be answered any more, while
+            // the queued requests still go out once we reconnect
+            this.rejectPending("The connection to the host was lost.", this.queue.map((message) => message.id));
+            setTimeout(this.connect, RECONNECT_DELAY);
+        };
+        this.socket = socket;
+    }
+
+    protected post(message: RequestMessage) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        } else {
+            this.queue.push(message);
+        }
+    }
+}
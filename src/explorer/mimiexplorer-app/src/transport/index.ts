@@ -0,0 +1,27 @@
+import Transport from './Transport';
+import ElectronTransport from './ElectronTransport';
+import WebSocketTransport from './WebSocketTransport';
+
+export * from './Transport';
+export { Transport, ElectronTransport, WebSocketTransport };
+
+let transport: Transport | null = null;
+
+// A WebSocket host can be given with `?host=ws://...` in the page URL or with
+// REACT_APP_MIMI_HOST at build time; otherwise we assume we run inside Electron.
+export function createTransport(search: string = window.location.search): Transport {
+    const host = new URLSearchParams(search).get("host") || process.env.REACT_APP_MIMI_HOST;
+    return host ? new WebSocketTransport(host) : new ElectronTransport();
+}
+
+export function getTransport(): Transport {
+    if (!transport) {
+        transport = createTransport();
+    }
+    return transport;
+}
+
+// Swap the transport in use, e.g. for a mock in tests.
+export function setTransport(t: Transport) {
+    transport = t;
+}
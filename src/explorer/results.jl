@@ -7,10 +7,10 @@ function get_sim_results(sim_inst::SimulationInstance, comp_name::Symbol, datum_
     key = (comp_name, datum_name)
     df = (sim_inst.results[model_index])[key]
     if scen_name !== nothing
-        if in(:scen, names(df)) 
-            error("The results for this simulation contain a scenario dimension, you must specify the scen_name keyword argument, which is currently set to $(scen_name)")
+        if !hasproperty(df, :scen)
+            error("The results for this simulation do not contain a scenario dimension, but the scen_name keyword argument is set to $(scen_name)")
         end
-        filter!(row -> row.scen_name === scen_name, df)
+        df = filter(row -> row.scen == scen_name, df)
     end
     return df
 end
@@ -44,6 +44,11 @@
     @test length(collect(keys(s["pars"]))) == 5
     @test length(collect(keys(s["vars"]))) == 1
 
+    # the search index also lists the items of subcomponents
+    index = Mimi.menu_item_index(m)
+    @test length(index["vars"]) > length(s["vars"])
+    @test Set(item["comp_name"] for item in index["pars"]) ⊇ Set([:top, :A, :B])
+
     #3.  explore(m::Model)
     w = explore(m)
     @test typeof(w) == Electron.Window
@@ -64,6 +64,9 @@
     @test collect(keys(s)) == ["pars", "vars"]
     @test length(collect(keys(s["pars"]))) == 6
     @test length(collect(keys(s["vars"]))) == 1
+    a_item = s["pars"][findfirst(item -> item["item_name"] == :a, s["pars"])]
+    @test a_item["dims"] == ["time", "regions"]
+    @test a_item["unit"] == ""
 
     # 3.  explore(m::Model)
     w = explore(m)
@@ -105,6 +108,18 @@
     # @test_logs (:warn, "MyComp2.a has > 2 indexed dimensions, not yet implemented in explorer") explore(m2) # URI PARSER WARNING IN CI
     # @test_logs (:warn, "MyComp2.a has > 2 indexed dimensions, not yet implemented in explorer") _spec_for_item(m2, :MyComp2, :a) # URI PARSER WARNING IN CI
 
+    # it is still sent with its rows, for the table view
+    spec = _spec_for_item(m2, :MyComp2, :a)
+    rows = Mimi.JSON.parse(Mimi.JSON.json(spec["data"]); dicttype = Mimi.OrderedDict)
+    @test spec["type"] == "singlevalue"
+    @test length(rows) == 101 * 3 * 4
+    @test collect(keys(rows[1])) == ["time", "regions", "four", "a"]
+
+    # and so are dimensionless arrays, by index
+    rows = Mimi.JSON.parse(Mimi.JSON.json(_spec_for_item(m, :MyComp, :f)["data"]); dicttype = Mimi.OrderedDict)
+    @test length(rows) == 4
+    @test collect(keys(rows[1])) == ["index", "f"]
+
     #7. Test TimestepArrays with time not as the first dimension
 
     @defcomp gdp begin
@@ -199,6 +214,43 @@
         @test static_spec["name"] == interactive_spec["name"] == name
     end
 
+    # Comparing runs, here with p0 changed in the second one
+    m_policy = Model()
+
+    set_dimension!(m_policy, :time, 2000:2009)
+    set_dimension!(m_policy, :foo, 1:5)
+    set_dimension!(m_policy, :bar, 1:3)
+    set_dimension!(m_policy, :baz, [:A, :B, :C])
+
+    add_comp!(m_policy, example)
+
+    update_param!(m_policy, :example, :p0, 2:11)
+    update_param!(m_policy, :example, :p1, 6:10)
+    update_param!(m_policy, :example, :p2, 4:6)
+
+    update_param!(m_policy, :example, :p3, reshape(1:15, 5, 3))
+    update_param!(m_policy, :example, :p4, reshape(1:15, 3, 5))
+    update_param!(m_policy, :example, :p5, reshape(1:30, 10, 3))
+    update_param!(m_policy, :example, :p6, reshape(1:30, 10, 3))
+
+    run(m_policy)
+
+    runs = ["baseline" => m, "policy" => m_policy]
+    menu = Mimi._union_menu_items(menu_item_list, runs)
+    p0 = menu["pars"][findfirst(item -> item["item_name"] == :p0, menu["pars"])]
+    p1 = menu["pars"][findfirst(item -> item["item_name"] == :p1, menu["pars"])]
+    @test p0["runs"] == ["baseline", "policy"]
+    @test p0["differs"]
+    @test !p1["differs"]
+    @test Mimi.tree_view_values(runs)[1]["runs"] == ["baseline", "policy"]
+
+    spec = Mimi._spec_for_runs(runs, :example, :p0)
+    @test spec["type"] == "comparison"
+    @test [r["run"] for r in spec["runs"]] == ["baseline", "policy"]
+
+    w = explore("baseline" => m, "policy" => m_policy)
+    close(w)
+
     Mimi.close_explore_app()
 
     # 9. Dimensionless parameter names and displays, including one which is a Model
@@ -133,5 +133,35 @@
     p = Mimi.plot(si_disk, :grosseconomy, :depk_var; interactive = true, results_output_dir = results_output_dir); 
     plot_type_test(p)
 
+    ## 4. Scenarios and trials
+
+    no_scenario_changes(sim_inst, tup) = nothing
+    si_scen = run(sd, m, N; scenario_args = [:scen => [:low, :high]], scenario_func = no_scenario_changes)
+    scen_output_dir = mktempdir()
+    si_scen_disk = run(sd, m, N; scenario_args = [:scen => [:low, :high]], scenario_func = no_scenario_changes,
+                        results_output_dir = scen_output_dir, results_in_memory = false)
+
+    # scenario names, from the results in memory or the subdirectories on disk
+    @test Mimi._sim_scenario_names(si_scen, nothing) == ["low", "high"]
+    @test sort(Mimi._sim_scenario_names(si_scen_disk, scen_output_dir)) == ["high", "low"]
+    @test Mimi._sim_scenario_names(si, nothing) == String[]
+    @test Mimi._sim_scenario_names(si_disk, results_output_dir) == String[]
+
+    # filtering by scenario
+    all_results = get_sim_results(si_scen, :emissions, :E_Global)
+    low = get_sim_results(si_scen, :emissions, :E_Global; scen_name = "low")
+    @test nrow(low) == nrow(all_results) ÷ 2
+    @test all(low.scen .== "low")
+    @test_throws ErrorException get_sim_results(si, :emissions, :E_Global; scen_name = "low")
+
+    # the results the explorer displays for a trial
+    trial = Mimi._explorer_sim_results(si_scen, :emissions, :E_Global, nothing; scen_name = "high", trial = 3)
+    @test nrow(trial) == nrow(all_results) ÷ (2 * N)
+    @test all(trial.trialnum .== 3) && all(trial.scen .== "high")
+    trial = Mimi._explorer_sim_results(si_scen_disk, :emissions, :E_Global, scen_output_dir; scen_name = "high", trial = 3)
+    @test nrow(trial) == nrow(all_results) ÷ (2 * N)
+    @test all(trial.trialnum .== 3)
+    @test Mimi._explorer_sim_results(si, :emissions, :E_Global, nothing) == get_sim_results(si, :emissions, :E_Global)
+
     Mimi.close_explore_app()
 end